@@ -7,6 +7,8 @@ define(
     /**
      * Animation carousel plugin
      *
+     * Moves between tiles with a transition effect (`slide`, `fade`, `scale` or `coverflow`) and easing. See the README for the options, and for adding effects and easings with `registerEffect` and `registerEasing`.
+     *
      * @module carousel.animate
      */
     function( carousel ) {
@@ -14,43 +16,352 @@ define(
         'use strict';
         
         var defaults = {
-            interval: 1000 //1 sec
+            interval: 1000, //1 sec
+            easing: 'ease',
+            interruptMode: 'retarget', // what navigation during a transition does: retarget, queue, coalesce or ignore
+            effect: 'slide',
+            reducedEffect: 'instant' // when motion is reduced: instant or fade
+        };
+
+        var schema = {
+            interval: { type: 'number', min: 0 },
+            easing: { type: [ 'function', 'array', 'string' ] }, // easing names and cubic-bezier values are checked when the carousel is set up
+            interruptMode: { type: 'string', values: [ 'retarget', 'queue', 'coalesce', 'ignore' ] },
+            effect: { type: [ 'string', 'object' ] }, // effect names are checked when the effect is picked
+            reducedEffect: { type: 'string', values: [ 'instant', 'fade' ] },
+            preFrameChange: { type: 'function', nullable: true },
+            postFrameChange: { type: 'function', nullable: true }
         };
 
         var pluginNS = 'animate';
 
-        var pluginOn = false
-            , animating = false
-            ;
+        var rNumber = /-?\d*\.?\d+(?:e-?\d+)?/g;
+
+        var effects = {};
+
+        var easings = {
+            linear: [ 0, 0, 1, 1 ],
+            ease: [ 0.25, 0.1, 0.25, 1 ],
+            'ease-in': [ 0.42, 0, 1, 1 ],
+            'ease-out': [ 0, 0, 0.58, 1 ],
+            'ease-in-out': [ 0.42, 0, 0.58, 1 ],
+            easeInCubic: [ 0.55, 0.055, 0.675, 0.19 ],
+            easeOutCubic: [ 0.215, 0.61, 0.355, 1 ],
+            easeInOutCubic: [ 0.645, 0.045, 0.355, 1 ],
+            easeOutQuint: [ 0.23, 1, 0.32, 1 ],
+            easeOutBack: [ 0.175, 0.885, 0.32, 1.275 ]
+        };
+
+        var rBezier = /^cubic-bezier\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\)$/;
+
+        /**
+         * Builds an easing function from the control points of a CSS cubic-bezier timing function
+         *
+         * @method cubicBezier
+         * @param {Number} x1 X of the first control point (0 to 1)
+         * @param {Number} y1 Y of the first control point
+         * @param {Number} x2 X of the second control point (0 to 1)
+         * @param {Number} y2 Y of the second control point
+         * @return {Function} Takes the time elapsed (0 to 1) and returns the progress
+         * @private
+         */
+        function cubicBezier( x1, y1, x2, y2 ) {
+
+            var curve = function( p1, p2, t ) {
+
+                return ( ( ( 1 - 3 * p2 + 3 * p1 ) * t + ( 3 * p2 - 6 * p1 ) ) * t + 3 * p1 ) * t;
+            };
+
+            var slope = function( p1, p2, t ) {
+
+                return ( 3 * ( 1 - 3 * p2 + 3 * p1 ) * t + 2 * ( 3 * p2 - 6 * p1 ) ) * t + 3 * p1;
+            };
+
+            return function( x ) {
+
+                var delta
+                    , gradient
+                    , t = x
+                    , low = 0
+                    , high = 1
+                    ;
+
+                if ( x <= 0 || x >= 1 ) return x <= 0 ? 0 : 1;
+
+                // Find the curve's t for this x with Newton's method...
+                for ( var i = 0; i < 8; i++ ) {
+
+                    delta = curve( x1, x2, t ) - x;
+
+                    if ( Math.abs( delta ) < 1e-6 ) return curve( y1, y2, t );
+
+                    gradient = slope( x1, x2, t );
+
+                    if ( Math.abs( gradient ) < 1e-6 ) break;
+
+                    t -= delta / gradient;
+                }
+
+                // ...or by bisection where the curve is too flat for it
+                t = x;
+
+                while ( high - low > 1e-6 ) {
+
+                    if ( curve( x1, x2, t ) < x ) low = t;
+                    else high = t;
+
+                    t = ( low + high ) / 2;
+                }
+
+                return curve( y1, y2, t );
+            };
+        }
 
         /**
-         * Repeat a function X times at I intervals
+         * Turns the value of an `easing` option into an easing function, and the CSS timing function for it where there is one
          *
-         * @method repeat
-         * @param {Number} interval Interval at which to call provided function
-         * @param {Number} repeats Number of times to repeat
-         * @param {Boolean} immediate Flag for delaying running of callback
-         * @param {Function} callback Function to run at intervals 
-         * @author http://codereview.stackexchange.com/questions/13046/javascript-repeat-a-function-x-times-at-i-intervals
+         * @method resolveEasing
+         * @param {String|Array|Function} easing Name of a registered easing, `cubic-bezier(...)` string, array of the four control point values, or function
+         * @return {Object} Object with `fn` and `css` (null for functions), or null if the easing is invalid
          * @private
          */
-        function repeat( interval, repeats, immediate, callback ) {
+        function resolveEasing( easing ) {
+
+            var match
+                , points = typeof easing === 'string' && easings.hasOwnProperty( easing ) ? easings[ easing ] : easing
+                ;
 
-            var timer;
+            if ( typeof points === 'function' ) return { fn: points, css: null };
 
-            var trigger = function () {
-                callback();
-                --repeats || clearInterval( timer );
+            if ( typeof points === 'string' && ( match = rBezier.exec( points ) ) ) {
+
+                points = [ parseFloat( match[ 1 ] ), parseFloat( match[ 2 ] ), parseFloat( match[ 3 ] ), parseFloat( match[ 4 ] ) ];
+            }
+
+            // Like CSS, the x values have to stay within the duration
+            if ( !Array.isArray( points ) || points.length !== 4 || points.some( isNaN ) ||
+                 points[ 0 ] < 0 || points[ 0 ] > 1 || points[ 2 ] < 0 || points[ 2 ] > 1 ) {
+
+                return null;
+            }
+
+            return {
+                fn: cubicBezier( points[ 0 ], points[ 1 ], points[ 2 ], points[ 3 ] ),
+                css: 'cubic-bezier(' + points.join( ', ' ) + ')'
             };
+        }
+
+        /**
+         * Adds a named easing that carousels can pick with the `easing` option or per move
+         *
+         * @method registerEasing
+         * @param {String} name Easing name
+         * @param {Array|Function} easing Array of the four cubic-bezier control point values, or function taking the time elapsed (0 to 1) and returning the progress
+         * @public
+         */
+        function registerEasing( name, easing ) {
+
+            if ( typeof name !== 'string' || typeof easing === 'string' || !resolveEasing( easing ) ) {
+
+                throw new Error( 'carousel.animate: easing "' + name + '" must be a function or an array of four cubic-bezier values.' );
+            }
+
+            easings[ name ] = easing;
+        }
+
+        /**
+         * Runs a callback on the next animation frame (or after 16ms in browsers without requestAnimationFrame)
+         *
+         * @method requestFrame
+         * @param {Function} callback Function to run
+         * @return {Number} Id to cancel the frame with
+         * @private
+         */
+        function requestFrame( callback ) {
+
+            return window.requestAnimationFrame ? window.requestAnimationFrame( callback ) : setTimeout( callback, 16 );
+        }
+
+        /**
+         * Cancels a frame requested with requestFrame
+         *
+         * @method cancelFrame
+         * @param {Number} id Id returned by requestFrame
+         * @private
+         */
+        function cancelFrame( id ) {
+
+            if ( window.cancelAnimationFrame ) window.cancelAnimationFrame( id );
+            else clearTimeout( id );
+        }
+
+        /**
+         * Sets the CSS transform of an element, with the vendor prefixed property where needed
+         *
+         * @method setTransform
+         * @param {Object} elem HTML element
+         * @param {String} value CSS transform value
+         * @param {String} vendorPrefix Vendor prefix of the transform property (optional)
+         * @private
+         */
+        function setTransform( elem, value, vendorPrefix ) {
+
+            elem.style.transform = value;
+            elem.style[ ( vendorPrefix || '' ) + 'transform' ] = value;
+
+            // IE9
+            if ( 'msTransform' in elem.style ) elem.style.msTransform = value;
+        }
+
+        /**
+         * Removes the inline styles effects set on tiles
+         *
+         * @method clearTiles
+         * @param {Object} context Effect context
+         * @private
+         */
+        function clearTiles( context ) {
+
+            var tile;
+
+            for ( var i = 0; i < context.tiles.length; i++ ) {
+
+                tile = context.tiles[ i ];
+
+                context.setTransform( tile, '' );
+
+                tile.style.opacity = '';
+                tile.style.zIndex = '';
+                tile.style.visibility = '';
+            }
+        }
+
+        /**
+         * Builds an effect that stacks the tiles in the viewport and crossfades from the old tiles to the new ones. Tiles that are in both frames (i.e. in tile increment mode) slide over instead.
+         *
+         * @method crossfade
+         * @param {Number} fromScale Scale the old tiles reach as they fade out
+         * @param {Number} toScale Scale the new tiles start at as they fade in
+         * @return {Object} Effect
+         * @private
+         */
+        function crossfade( fromScale, toScale ) {
+
+            return {
+
+                render: function( context ) {
+
+                    var tile
+                        , inFrom
+                        , inTo
+                        , base
+                        , opacity
+                        , scale
+                        , from = Math.round( context.from )
+                        , to = Math.round( context.to )
+                        , progress = context.progress
+                        , size = context.tilesPerFrame
+                        ;
+
+                    // Tiles are moved into the viewport one by one, so the track stays put
+                    context.setTransform( context.track, 'none' );
+
+                    for ( var i = 0; i < context.tiles.length; i++ ) {
 
-            interval = interval <= 0 ? 1000 : interval; // default: 1000ms
-            repeats = parseInt( repeats, 10 ) || 0; // default: repeat forever
-            timer = setInterval( trigger, interval );
+                        tile = context.tiles[ i ];
+                        inFrom = i >= from && i < from + size;
+                        inTo = i >= to && i < to + size;
 
-            // Run immediately
-            if ( !!immediate ) { trigger(); }
+                        base = inFrom && inTo ? from + ( to - from ) * progress : inTo ? to : from;
+                        opacity = inTo ? ( inFrom ? 1 : progress ) : inFrom ? 1 - progress : 0;
+                        scale = inTo ? ( inFrom ? 1 : toScale + ( 1 - toScale ) * progress ) : inFrom ? 1 + ( fromScale - 1 ) * progress : 1;
+
+                        context.setTransform( tile, 'translate' + context.axis + '(' + ( context.sign * base * 100 ) + '%)' + ( scale !== 1 ? ' scale(' + scale + ')' : '' ) );
+
+                        tile.style.opacity = opacity;
+                        tile.style.zIndex = inTo ? 2 : inFrom ? 1 : 0;
+                        tile.style.visibility = opacity ? '' : 'hidden';
+                    }
+                },
+
+                teardown: clearTiles
+            };
         }
 
+        /**
+         * Adds a transition effect that carousels can pick with the `effect` option
+         *
+         * @method registerEffect
+         * @param {String} name Effect name
+         * @param {Object} effect Object with a `render` method, and optional `setup`/`teardown` methods and `css` flag
+         * @public
+         */
+        function registerEffect( name, effect ) {
+
+            if ( typeof name !== 'string' || !effect || typeof effect.render !== 'function' ) {
+
+                throw new Error( 'carousel.animate: effect "' + name + '" must be an object with a render method.' );
+            }
+
+            effects[ name ] = effect;
+        }
+
+        registerEffect( 'slide', {
+
+            css: true,
+
+            render: function( context ) {
+
+                context.setTransform( context.track, context.getTransform( context.position ) );
+            }
+        });
+
+        registerEffect( 'fade', crossfade( 1, 1 ) );
+
+        registerEffect( 'scale', crossfade( 1.2, 0.8 ) );
+
+        registerEffect( 'coverflow', {
+
+            setup: function( context ) {
+
+                context.viewport.style.perspective = '1000px';
+                context.track.style.transformStyle = 'preserve-3d';
+            },
+
+            render: function( context ) {
+
+                var offset
+                    , depth
+                    , angle
+                    , center = context.position + ( context.tilesPerFrame - 1 ) / 2
+                    ;
+
+                context.setTransform( context.track, context.getTransform( context.position ) );
+
+                for ( var i = 0; i < context.tiles.length; i++ ) {
+
+                    offset = i - center;
+                    depth = Math.min( Math.abs( offset ), 3 );
+
+                    // Tiles turn to face the center, fully turned from one tile away
+                    angle = Math.max( -1, Math.min( 1, offset ) ) * 50;
+                    angle = context.axis === 'X' ? context.sign * angle : angle;
+
+                    context.setTransform( context.tiles[ i ], 'rotate' + ( context.axis === 'X' ? 'Y' : 'X' ) + '(' + angle + 'deg) translateZ(' + ( -depth * 100 ) + 'px)' );
+
+                    context.tiles[ i ].style.zIndex = 10 - Math.round( depth * 2 );
+                }
+            },
+
+            teardown: function( context ) {
+
+                clearTiles( context );
+
+                context.viewport.style.perspective = '';
+                context.track.style.transformStyle = '';
+            }
+        });
+
         /**
          * Animate plugin constructor
          *
@@ -62,7 +373,7 @@ define(
         function Animate( api, options ) {
     
             this.api = api;
-            this.options = this.api.extend( {}, defaults, options );
+            this.options = this.api.validate( options, schema, defaults, this.api.ns + '.' + pluginNS );
     
             this.setup();
         }
@@ -76,6 +387,14 @@ define(
                 var self = this;
 
                 self.pluginNS = pluginNS;
+                self.pluginOn = false;
+                self.animating = false;
+                self.queue = [];
+                self.queries = [];
+                self.listener = self.transitionEnd.bind( self );
+                self.dragListener = self.dragMove.bind( self );
+                self.updateEffect = self.pickEffect.bind( self );
+                self.easing = self.getEasing( self.options.easing );
                 
                 // Subscribe to carousel init event
                 self.api.subscribe(
@@ -85,16 +404,12 @@ define(
                     function() {
 
                         var origNavMethod
-                            , carousel
-                            , transitionAttr
-                            , translateStr
-                            , seconds = self.options.interval / 1000
                             , pluginAttr = self.api.getOption( pluginNS )
                             ;
 
-                        pluginOn = ( ( typeof pluginAttr === 'boolean' && pluginAttr === true ) || typeof pluginAttr === 'object' ) ? true : false;
+                        self.pluginOn = ( ( typeof pluginAttr === 'boolean' && pluginAttr === true ) || typeof pluginAttr === 'object' ) ? true : false;
 
-                        if ( pluginOn ) {
+                        if ( self.pluginOn ) {
                             
                             // Store carousel data
                             self.carData = {
@@ -106,157 +421,760 @@ define(
 
                             self.carData.vendorPrefix = ( self.carData.transitionData && typeof self.carData.transitionData.prefix !== 'undefined' ) ? self.carData.transitionData.prefix : '';
 
-                            carousel = self.carData.dom.carousel;
-                            transitionAttr = self.carData.vendorPrefix + 'transition';
-                            translateStr = 'transform' + ' ' + seconds + 's';
+                            self.transitionEvent = ( self.carData.transitionData && self.carData.transitionData.endEvt ) ? self.carData.transitionData.endEvt : 'transitionend';
 
-                            // If supported, initialize CSS transition setting
+                            // If supported, listen for the end of CSS transitions once
                             if ( self.carData.supportsTransitions ) {
-                            
-                                carousel.style.transition = translateStr;
-                                carousel.style[ transitionAttr ] = translateStr;
+
+                                self.api.addEvent( self.carData.dom.carousel, self.transitionEvent, self.listener );
                             }
 
-                            // Override carousel's core navigate method
-                            origNavMethod = self.api.override( 'navigate', function( index, prevAnim ) {
+                            self.watchEffect();
+                            self.pickEffect();
+
+                            self.api.subscribe( self.api.ns + '/destroy/before', self.destroy.bind( self ) );
+
+                            // The motion preference changed: end the transition and pick the effect again
+                            self.api.subscribe( self.api.ns + '/updateMotion/after', function() {
+
+                                self.finish();
+                                self.pickEffect();
+                            });
+
+                            // New options, i.e. from the responsive plugin
+                            self.api.subscribe( self.api.ns + '/updateOptions/after', self.updateOptions.bind( self ) );
+
+                            // Grabbing the track ends the transition where it was headed
+                            self.api.subscribe( self.api.ns + '/drag/before', self.finish.bind( self ) );
+
+                            // Static moves (i.e. reinit, loop repositioning) only place the track, so effects draw the tiles again
+                            self.api.subscribe( self.api.ns + '/updatePosition/after', function() {
+
+                                if ( !self.usesCSS() ) self.render( self.api.getState( 'index' ) );
+                            });
+
+                            self.api.addEvent( self.carData.dom.carousel, self.api.ns + '.dragmove', self.dragListener );
+
+                            // Override carousel's core moveTo method
+                            origNavMethod = self.api.override( 'moveTo', function( index, prevAnim, transition ) {
+
+                                var maxIndex = self.api.trigger( 'getMaxIndex' );
 
                                 // If animation prevented, update the position of carousel statically (default method)
                                 if ( prevAnim ) {
 
-                                    origNavMethod( index );
+                                    return origNavMethod( index, prevAnim );
                                 }
 
-                                else {
+                                if ( self.animating ) self.interrupt();
 
-                                    self.api.trigger( 'syncState', index );
+                                self.api.trigger( 'syncState', index );
 
-                                    self.animate.call( self );
-                                }
+                                // Animate to the requested tile, plugins like loop may have moved the state on to an equivalent one
+                                self.animate( Math.max( 0, Math.min( index, maxIndex ) ), transition );
+
+                                return self.api.trigger( 'getNavigation' );
                             });
+
+                            // Navigation during a transition is held back, dropped or let through depending on interruptMode
+                            self.schedule( 'navigate', function( index, silent ) {
+
+                                return silent;
+                            });
+                            self.schedule( 'prevFrame' );
+                            self.schedule( 'nextFrame' );
                         }
                     }
                 );
             },
+
+            /**
+             * Overrides a carousel navigation method so calls made during a transition go through the interruptMode option. `prevFrame` and `nextFrame` are held back as calls, so queued moves count from where the carousel will be.
+             *
+             * @method schedule
+             * @param {String} name Name of the carousel method
+             * @param {Function} isSilent Called with the method's arguments, returns whether the call is a static move, which is never held back (optional, `prevFrame` and `nextFrame` always transition)
+             * @public
+             */
+            schedule: function( name, isSilent ) {
+
+                var self = this
+                    , origMethod
+                    ;
+
+                origMethod = self.api.override( name, function() {
+
+                    var entry
+                        , args = arguments
+                        , mode = self.options.interruptMode
+                        ;
+
+                    if ( !self.animating || mode === 'retarget' || ( isSilent && isSilent.apply( null, args ) ) ) return origMethod.apply( null, args );
+
+                    // Ignored input joins the move in progress
+                    if ( mode === 'ignore' ) return self.api.trigger( 'getNavigation' );
+
+                    // Only the latest input waits, and everyone who asked gets its result
+                    if ( mode === 'coalesce' && self.queue.length ) {
+
+                        entry = self.queue[ 0 ];
+                        entry.method = origMethod;
+                        entry.args = args;
+
+                        return entry.promise;
+                    }
+
+                    entry = { method: origMethod, args: args };
+
+                    if ( typeof Promise === 'function' ) {
+
+                        entry.promise = new Promise( function( resolve, reject ) {
+
+                            entry.resolve = resolve;
+                            entry.reject = reject;
+                        });
+
+                        entry.promise[ 'catch' ]( function() {} );
+                    }
+
+                    else {
+
+                        entry.promise = self.api.trigger( 'getNavigation' );
+                    }
+
+                    self.queue.push( entry );
+
+                    return entry.promise;
+                });
+            },
+
+            /**
+             * Runs the next navigation held back during a transition
+             *
+             * @method flush
+             * @public
+             */
+            flush: function() {
+
+                var result
+                    , entry = this.queue.shift()
+                    ;
+
+                if ( !entry ) return;
+
+                result = entry.method.apply( null, entry.args );
+
+                if ( entry.resolve && result && typeof result.then === 'function' ) {
+
+                    result.then( entry.resolve, entry.reject );
+                }
+            },
+
+            /**
+             * Drops the navigations held back during a transition, rejecting their promises
+             *
+             * @method clearQueue
+             * @param {String} reason Why they won't run, i.e. `destroyed`, set as `reason` on the error
+             * @public
+             */
+            clearQueue: function( reason ) {
+
+                var error
+                    , entry
+                    ;
+
+                while ( ( entry = this.queue.shift() ) ) {
+
+                    if ( !entry.reject ) continue;
+
+                    error = new Error( this.api.ns + ': navigation ' + reason + '.' );
+                    error.reason = reason;
+
+                    entry.reject( error );
+                }
+            },
             
             /**
-             * Animates carousel navigation
+             * Clears any running transition timer and listener, and undoes the effect
              *
-             * @method animate
+             * @method destroy
              * @public
              */
-            animate: function() {
+            destroy: function() {
 
-                this.api.publish( this.pluginNS + '/transition/before' );
+                this.stop();
 
-                var timer
-                    , self = this
-                    , index = self.api.getState( 'index' )
-                    , targetIndex = index
-                    , options = self.options
-                    , carousel = self.carData.dom.carousel
-                    , tilePercent = self.api.trigger( 'cache', 'tilePercent' )
-                    , preFrameChange = options.preFrameChange
-                    , postFrameChange = options.postFrameChange
-                    , seconds = options.interval / 1000
-                    , supportsTransitions = self.carData.supportsTransitions
-                    , transitionData = self.carData.transitionData
-                    , vendorPrefix = self.carData.vendorPrefix
-                    , transformAttr = vendorPrefix + 'transform'
-                    , transitionEvent = ( transitionData && transitionData.endEvt ) ? transitionData.endEvt : 'transitionend'
-                    , translateAmt = tilePercent * targetIndex
-                    , transformStr = 'translateX(-' + translateAmt + '%)'
-                    , numFrames = Math.ceil( options.interval / 60 )
-                    , origin = self.api.getState( 'prevIndex' ) * tilePercent
-                    , distance = origin - translateAmt
-                    , frameDist = distance / numFrames
+                this.animating = false;
+
+                this.clearQueue( 'destroyed' );
+
+                this.unwatchEffect();
+
+                if ( this.effect && this.effect.teardown ) this.effect.teardown( this.getContext( 0, 0, 1 ) );
+
+                this.effect = null;
+
+                this.api.removeEvent( this.carData.dom.carousel, this.transitionEvent, this.listener );
+                this.api.removeEvent( this.carData.dom.carousel, this.api.ns + '.dragmove', this.dragListener );
+            },
+
+            /**
+             * Event listener for the carousel's dragmove event. Effects that don't move the track stay where they are while it's dragged.
+             *
+             * @method dragMove
+             * @public
+             */
+            dragMove: function() {
+
+                if ( !this.usesCSS() && !this.animating ) this.render( this.api.getState( 'index' ) );
+            },
+
+            /**
+             * Takes on new options passed to the carousel's updateOptions (replacing the current ones), and picks the easing and effect again
+             *
+             * @method updateOptions
+             * @param {Object} optsObj Options passed to the carousel
+             * @public
+             */
+            updateOptions: function( optsObj ) {
+
+                if ( !( pluginNS in optsObj ) ) return;
+
+                this.options = this.api.validate( optsObj[ pluginNS ], schema, defaults, this.api.ns + '.' + pluginNS );
+
+                this.easing = this.getEasing( this.options.easing );
+
+                this.unwatchEffect();
+                this.watchEffect();
+                this.pickEffect();
+            },
+
+            /**
+             * Listens for changes to the media queries of the `effect` option
+             *
+             * @method watchEffect
+             * @public
+             */
+            watchEffect: function() {
+
+                var query
+                    , effect = this.options.effect
                     ;
 
-                // Initial set-up
-                var initSettings = function() {
+                if ( !effect || typeof effect !== 'object' || !window.matchMedia ) return;
 
-                    animating = true;
+                for ( var key in effect ) {
 
-                    // Execute preFrameChange callback
-                    if ( preFrameChange ) { preFrameChange.call( self ); }
+                    if ( !effect.hasOwnProperty( key ) || key === 'default' ) continue;
+
+                    query = window.matchMedia( key );
+
+                    if ( query.addEventListener ) query.addEventListener( 'change', this.updateEffect );
+                    else if ( query.addListener ) query.addListener( this.updateEffect );
+
+                    this.queries.push( query );
+                }
+            },
+
+            /**
+             * Stops listening for changes to the media queries of the `effect` option
+             *
+             * @method unwatchEffect
+             * @public
+             */
+            unwatchEffect: function() {
+
+                var query;
+
+                while ( ( query = this.queries.shift() ) ) {
+
+                    if ( query.removeEventListener ) query.removeEventListener( 'change', this.updateEffect );
+                    else if ( query.removeListener ) query.removeListener( this.updateEffect );
+                }
+            },
+
+            /**
+             * Works out the effect to use from the `effect` option (and the media queries that match), and switches to it
+             *
+             * @method pickEffect
+             * @public
+             */
+            pickEffect: function() {
+
+                var name
+                    , effect = this.options.effect
+                    ;
+
+                if ( this.reducedMotion() && this.options.reducedEffect === 'fade' ) {
+
+                    name = 'fade';
+                }
+
+                else if ( effect && typeof effect === 'object' ) {
+
+                    for ( var key in effect ) {
+
+                        if ( effect.hasOwnProperty( key ) && key !== 'default' && window.matchMedia && window.matchMedia( key ).matches ) {
+
+                            name = effect[ key ];
+                            break;
+                        }
+                    }
+
+                    name = name || effect[ 'default' ] || defaults.effect;
+                }
+
+                else {
+
+                    name = effect;
+                }
+
+                if ( !effects.hasOwnProperty( name ) ) {
+
+                    if ( typeof console !== 'undefined' && console.warn ) {
+
+                        console.warn( this.api.ns + '.' + pluginNS + ': unknown effect "' + name + '". Using default "' + defaults.effect + '".' );
+                    }
+
+                    name = defaults.effect;
+                }
+
+                this.setEffect( name );
+            },
+
+            /**
+             * Switches the carousel to an effect, ending any transition in progress
+             *
+             * @method setEffect
+             * @param {String} name Effect name
+             * @public
+             */
+            setEffect: function( name ) {
+
+                var index = this.api.getState( 'index' )
+                    , effect = effects[ name ]
+                    ;
 
-                    // carousel.setAttribute( 'class', 'state-busy' );
-                    self.api.trigger( 'toggleAria', self.api.getState( 'tileArr' ), 'remove' );
+                if ( !effect || effect === this.effect ) return;
 
-                    self.api.trigger( 'updateNavigation' );
+                this.finish();
+
+                if ( this.effect && this.effect.teardown ) this.effect.teardown( this.getContext( index, index, 1 ) );
+
+                this.effect = effect;
+                this.effectName = name;
+
+                if ( effect.setup ) effect.setup( this.getContext( index, index, 1 ) );
+
+                this.setPosition( index );
+            },
+
+            /**
+             * Whether motion is reduced, following the carousel's `motion` option
+             *
+             * @method reducedMotion
+             * @return {Boolean}
+             * @public
+             */
+            reducedMotion: function() {
+
+                return !!this.api.trigger( 'cache', 'reducedMotion' );
+            },
+
+            /**
+             * Whether the current effect moves the track with a CSS transition
+             *
+             * @method usesCSS
+             * @return {Boolean}
+             * @public
+             */
+            usesCSS: function() {
+
+                return !!( this.effect && this.effect.css && this.carData.supportsTransitions );
+            },
+
+            /**
+             * Builds the object effects are called with
+             *
+             * @method getContext
+             * @param {Number} from Index the transition starts from
+             * @param {Number} to Index the transition ends at
+             * @param {Number} progress Progress of the transition, from 0 to 1
+             * @return {Object} Effect context
+             * @public
+             */
+            getContext: function( from, to, progress ) {
+
+                var self = this;
+
+                return {
+                    from: from,
+                    to: to,
+                    progress: progress,
+                    position: from + ( to - from ) * progress,
+                    tiles: self.api.getState( 'tileArr' ),
+                    tilesPerFrame: self.api.getOption( 'tilesPerFrame' ),
+                    track: self.carData.dom.carousel,
+                    viewport: self.carData.dom.viewport,
+                    axis: self.api.getOption( 'orientation' ) === 'vertical' ? 'Y' : 'X',
+                    sign: self.api.trigger( 'cache', 'rtl' ) ? 1 : -1,
+                    getTransform: function( index ) {
+
+                        return self.api.trigger( 'getTransform', index );
+                    },
+                    setTransform: function( elem, value ) {
+
+                        setTransform( elem, value, self.carData.vendorPrefix );
+                    }
                 };
+            },
+
+            /**
+             * Draws the current effect at a step of a transition, or at an index when progress is left out
+             *
+             * @method render
+             * @param {Number} from Index the transition starts from
+             * @param {Number} to Index the transition ends at (optional, defaults to from)
+             * @param {Number} progress Progress of the transition, from 0 to 1 (optional, defaults to 1)
+             * @public
+             */
+            render: function( from, to, progress ) {
+
+                if ( !this.effect ) return;
+
+                this.effect.render( this.getContext( from, typeof to === 'number' ? to : from, typeof progress === 'number' ? progress : 1 ) );
+            },
+
+            /**
+             * Turns an easing (option or per move) into an easing function and CSS timing function, falling back to the default with a warning
+             *
+             * @method getEasing
+             * @param {String|Array|Function} easing Easing name, cubic-bezier string or array, or function
+             * @return {Object} Object with `fn` and `css` (null if CSS can't express the easing)
+             * @public
+             */
+            getEasing: function( easing ) {
+
+                var resolved = resolveEasing( easing );
+
+                if ( resolved ) return resolved;
+
+                if ( typeof console !== 'undefined' && console.warn ) {
+
+                    console.warn( this.api.ns + '.' + pluginNS + ': unknown easing ' + ( typeof easing === 'string' ? '"' + easing + '"' : String( easing ) ) + '. Using default "' + defaults.easing + '".' );
+                }
+
+                return resolveEasing( defaults.easing );
+            },
+
+            /**
+             * Stops the fallback timer and the animation frame of the transition in progress
+             *
+             * @method stop
+             * @public
+             */
+            stop: function() {
+
+                clearTimeout( this.timer );
+                cancelFrame( this.frame );
+            },
+
+            /**
+             * Draws a transition with the current effect on each animation frame, and ends it once the duration is up
+             *
+             * @method run
+             * @param {Number} origin Index the transition starts from
+             * @param {Number} targetIndex Index the transition ends at
+             * @param {Number} duration Duration in milliseconds
+             * @param {Function} ease Easing function
+             * @public
+             */
+            run: function( origin, targetIndex, duration, ease ) {
 
-                // Transition end listener: runs at end of animation
-                var listener = function() {
+                var self = this
+                    , start = new Date().getTime()
+                    ;
 
-                    clearTimeout( timer );
+                var step = function() {
 
-                    self.api.trigger( 'toggleAria', self.api.getState( 'tileArr' ), 'add' );
-                    self.api.trigger( 'toggleAria', self.api.getState( 'curFrame' ), 'remove' );
+                    var elapsed = Math.min( 1, ( new Date().getTime() - start ) / duration )
+                        , progress = ease( elapsed )
+                        ;
 
-                    //state.curTile.focus();
-                    carousel.className = carousel.className.replace( /\bstate-busy\b/, '' );
-                    
-                    animating = false;
+                    self.render( origin, targetIndex, progress );
 
-                    // Execute postFrameChange callback
-                    if ( postFrameChange ) { postFrameChange.call( self ); }
+                    self.position = origin + ( targetIndex - origin ) * progress;
 
-                    self.api.publish( self.pluginNS + '/transition/after' );
+                    if ( elapsed < 1 ) self.frame = requestFrame( step );
+                    else self.transitionEnd();
                 };
 
-                // Use CSS transitions
-                if ( supportsTransitions ) {
+                self.frame = requestFrame( step );
 
-                    initSettings();
+                // Animation frames pause in background tabs, so make sure the transition ends
+                self.timer = setTimeout( function() {
 
-                    self.api.subscribe( self.pluginNS + '/transition/after', function() {
+                    self.render( targetIndex );
+                    self.transitionEnd();
 
-                        carousel.removeEventListener( transitionEvent, listener, false );
-                    });
+                }, duration + 100 );
+            },
 
-                    carousel.addEventListener( transitionEvent, listener, false );
+            /**
+             * Sets or removes the CSS transition of the track
+             *
+             * @method setTransition
+             * @param {Boolean} on Whether the track should transition
+             * @param {Number} duration Duration in milliseconds (optional, defaults to the interval option)
+             * @param {String} timing CSS timing function (optional)
+             * @public
+             */
+            setTransition: function( on, duration, timing ) {
 
-                    carousel.style.transform = transformStr;
-                    carousel.style[ transformAttr ] = transformStr;
+                var carousel = this.carData.dom.carousel
+                    , seconds = ( typeof duration === 'number' ? duration : this.options.interval ) / 1000
+                    , transitionStr = on ? 'transform ' + seconds + 's' + ( timing ? ' ' + timing : '' ) : 'none'
+                    ;
 
-                    // Set a little longer than transition time, so listener has chance to execute on its own
-                    timer = setTimeout( listener , seconds * 1010 );
+                carousel.style.transition = transitionStr;
+                carousel.style[ this.carData.vendorPrefix + 'transition' ] = transitionStr;
+            },
+
+            /**
+             * Moves the track to a (fractional) index without a transition
+             *
+             * @method setPosition
+             * @param {Number} index Index of left-most visible tile
+             * @public
+             */
+            setPosition: function( index ) {
+
+                this.position = index;
+
+                if ( this.carData.supportsTransitions ) this.setTransition( false );
+
+                this.render( index );
+
+                // Flush styles, so a transition set afterwards starts from here
+                this.carData.dom.carousel.getBoundingClientRect();
+            },
+
+            /**
+             * Works out where the track currently is, mid-transition
+             *
+             * @method getPosition
+             * @return {Number} Fractional index of left-most visible tile
+             * @public
+             */
+            getPosition: function() {
+
+                var style
+                    , values
+                    , offset
+                    , offsets
+                    , position
+                    , size
+                    , carousel = this.carData.dom.carousel
+                    , vertical = this.api.getOption( 'orientation' ) === 'vertical'
+                    , sign = this.api.trigger( 'cache', 'rtl' ) ? 1 : -1
+                    , fallback = this.cssRun ? this.target : this.position
+                    ;
+
+                // Animations drawn frame by frame keep track of the position themselves
+                if ( !this.cssRun || !window.getComputedStyle ) return fallback;
+
+                style = window.getComputedStyle( carousel );
+                values = ( style.transform || style[ this.carData.vendorPrefix + 'transform' ] || '' ).match( rNumber );
+
+                if ( !values || ( values.length !== 6 && values.length !== 16 ) ) return fallback;
+
+                // matrix( a, b, c, d, x, y ) or matrix3d( ..., x, y, z, 1 )
+                offset = sign * parseFloat( values[ values.length === 6 ? ( vertical ? 5 : 4 ) : ( vertical ? 13 : 12 ) ] );
+
+                if ( this.api.getOption( 'variableWidth' ) ) {
+
+                    offsets = this.api.trigger( 'cache', 'tileOffsets' ) || [];
+
+                    for ( position = 0; position < offsets.length - 1 && offsets[ position + 1 ] <= offset; position++ ) {}
+
+                    size = ( offsets[ position + 1 ] || offsets[ position ] ) - offsets[ position ];
+
+                    return size > 0 ? position + ( offset - offsets[ position ] ) / size : position;
                 }
 
-                // IE9 does not support CSS transitions
-                /*
-                    TODO Needs easing
-                */
-                else if ( 'msTransform' in carousel.style ) {
+                // Tiles with a peek or gap are laid out in pixels
+                if ( this.api.trigger( 'cache', 'pixelLayout' ) ) {
+
+                    return ( offset + this.api.trigger( 'cache', 'leadSize' ) ) / this.api.trigger( 'cache', 'tileStep' );
+                }
+
+                size = vertical ? carousel.offsetHeight : carousel.offsetWidth;
+
+                // Centered tiles are half a frame further than the start of the viewport
+                return size ? ( offset / size * 100 / this.api.trigger( 'cache', 'tilePercent' ) ) + this.api.trigger( 'cache', 'leadTiles' ) : fallback;
+            },
+
+            /**
+             * Stops the transition in progress where the track is, so the next one starts from there
+             *
+             * @method interrupt
+             * @public
+             */
+            interrupt: function() {
 
-                    initSettings();
+                var position = { index: this.getPosition() };
 
-                    repeat( 16, numFrames, true, function() {
+                this.stop();
 
-                        origin -= frameDist;
+                // Subscribers can map the position to an equivalent one, i.e. loop leaving a cloned frame
+                this.api.publish( this.pluginNS + '/transition/interrupt', position );
 
-                        if ( origin < 0 ) {
+                this.setPosition( position.index );
+            },
 
-                            carousel.style.msTransform = 'translateX( 0px )';
-                            return;
-                        }
+            /**
+             * Ends the transition in progress right away, at the tile it was headed for, and drops held back navigation
+             *
+             * @method finish
+             * @public
+             */
+            finish: function() {
 
-                        carousel.style.msTransform = 'translateX( -' + origin + '% )';
+                if ( !this.animating ) return;
 
-                    });
+                this.stop();
 
-                    setTimeout( function() {
+                this.clearQueue( 'interrupted' );
 
-                        listener();
+                this.setPosition( this.target );
 
-                    }, ( 300 * seconds ) );
+                this.transitionEnd();
+            },
+
+            /**
+             * Runs once the track has reached the target: restores ARIA state and starts the next navigation held back during the transition
+             *
+             * @method transitionEnd
+             * @param {Event} e Transition end event (optional)
+             * @public
+             */
+            transitionEnd: function( e ) {
+
+                var carousel = this.carData.dom.carousel
+                    , postFrameChange = this.options.postFrameChange
+                    ;
+
+                // Transitions inside tiles bubble up to the track
+                if ( e && ( e.target !== carousel || ( e.propertyName && e.propertyName.indexOf( 'transform' ) === -1 ) ) ) return;
+
+                if ( !this.animating ) return;
+
+                this.stop();
+
+                this.position = this.target;
+
+                this.api.trigger( 'toggleAria', this.api.getState( 'tileArr' ), 'add' );
+                this.api.trigger( 'toggleAria', this.api.getState( 'curFrame' ), 'remove' );
+                this.api.trigger( 'updatePeek' );
+
+                //state.curTile.focus();
+                carousel.className = carousel.className.replace( /\bstate-busy\b/, '' );
+                
+                this.animating = false;
+
+                // Execute postFrameChange callback
+                if ( postFrameChange ) { postFrameChange.call( this ); }
+
+                this.api.publish( this.pluginNS + '/transition/after' );
+
+                this.flush();
+            },
+
+            /**
+             * Animates carousel navigation with the current effect, from wherever the track is to the target index
+             *
+             * @method animate
+             * @param {Number} targetIndex Index of left-most visible tile to animate to (optional, defaults to current index)
+             * @param {Object} transition `duration` (milliseconds) and `easing` for this transition (optional, default to the interval and easing options)
+             * @public
+             */
+            animate: function( targetIndex, transition ) {
+
+                this.api.publish( this.pluginNS + '/transition/before' );
+
+                var self = this
+                    , options = self.options
+                    , preFrameChange = options.preFrameChange
+                    , duration = transition && typeof transition.duration === 'number' && transition.duration >= 0 ? transition.duration : options.interval
+                    , easing = transition && transition.easing ? self.getEasing( transition.easing ) : self.easing
+                    , origin
+                    ;
+
+                if ( typeof targetIndex !== 'number' ) targetIndex = self.api.getState( 'index' );
+
+                if ( self.reducedMotion() && options.reducedEffect === 'instant' ) duration = 0;
+
+                // Retargeted transitions start from where the last one was stopped
+                origin = self.animating ? self.position : self.api.getState( 'prevIndex' );
+
+                self.target = targetIndex;
+
+                // Initial set-up
+                if ( !self.animating ) {
+
+                    self.animating = true;
+
+                    // Execute preFrameChange callback
+                    if ( preFrameChange ) { preFrameChange.call( self ); }
+                }
+
+                // carousel.setAttribute( 'class', 'state-busy' );
+                self.api.trigger( 'toggleAria', self.api.getState( 'tileArr' ), 'remove' );
+
+                self.api.trigger( 'updateNavigation' );
+
+                // Nothing to animate
+                if ( !duration ) {
+
+                    self.setPosition( targetIndex );
+                    self.transitionEnd();
+                }
+
+                // Use CSS transitions
+                else if ( self.usesCSS() && easing.css ) {
+
+                    self.cssRun = true;
+
+                    // Static moves (i.e. loop repositioning) remove the transition
+                    self.carData.dom.carousel.getBoundingClientRect();
+                    self.setTransition( true, duration, easing.css );
+
+                    self.render( targetIndex );
+
+                    // Set a little longer than transition time, so listener has chance to execute on its own
+                    self.timer = setTimeout( self.listener, duration * 1.01 );
+                }
+
+                // Draw the effect frame by frame (and in IE9, which does not support CSS transitions)
+                else {
+
+                    self.cssRun = false;
+
+                    if ( self.carData.supportsTransitions ) self.setTransition( false );
+
+                    self.run( origin, targetIndex, duration, easing.fn );
                 }
             }
         };
-    
+
         carousel.plugin( pluginNS, function( api, options ) {
 
             new Animate( api, options );
         });
+
+        return {
+            registerEffect: registerEffect,
+            registerEasing: registerEasing
+        };
     }
-);
\ No newline at end of file
+);
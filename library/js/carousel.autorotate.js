@@ -8,14 +8,23 @@ define(
         
         'use strict';
         
-        var subToken;
         var defaults = {
             rotateInterval: 5000, //5 secs
-            stopEvent: 'none'
+            stopEvent: 'none',
+            rotationControl: true, // button to stop/start rotation (first element in the carousel)
+            stopText: 'Stop automatic slide show',
+            startText: 'Start automatic slide show',
+            forceRotation: false // rotate even when motion is reduced
+        };
+        var schema = {
+            rotateInterval: { type: 'number', min: 0 },
+            stopEvent: { type: 'string', values: [ 'none', 'hover', 'click' ] },
+            rotationControl: { type: 'boolean' },
+            stopText: { type: 'string' },
+            startText: { type: 'string' },
+            forceRotation: { type: 'boolean' }
         };
         var pluginNS = 'autorotate';
-        var pluginOn = false;
-        var pluginStopped = true;
 
         /**
          * Constructor
@@ -23,7 +32,7 @@ define(
         function Autorotate( api, options ) {
     
             this.api = api;
-            this.options = this.api.extend( {}, defaults, options );
+            this.options = this.api.validate( options, schema, defaults, this.api.ns + '.' + pluginNS );
     
             this.setup();
         }
@@ -31,12 +40,20 @@ define(
         Autorotate.prototype = {
             
             timer: undefined,
-            
-            funcs: {},
         
             setup: function() {
 
                 var self = this;
+
+                self.funcs = {
+                    stop: self.stopRotation.bind( self ),
+                    toggle: self.toggleRotation.bind( self ),
+                    focus: self.handleFocus.bind( self )
+                };
+                self.pluginOn = false;
+                self.pluginStopped = true;
+                self.motionPaused = false;
+                self.enabled = false;
                 
                 // Subscribe to carousel init event
                 this.api.subscribe(
@@ -44,36 +61,109 @@ define(
                     this.api.ns + '/init/after',
 
                     function() {
-
-                        self.funcs.stop = self.stopRotation.bind( self ); //define bound stopRotation method
                         
                         var pluginAttr = self.api.getOption( pluginNS );
-                        pluginOn = ( ( typeof pluginAttr === 'boolean' && pluginAttr === true ) || typeof pluginAttr === 'object' ) ? true : false;
+                        self.pluginOn = ( ( typeof pluginAttr === 'boolean' && pluginAttr === true ) || typeof pluginAttr === 'object' ) ? true : false;
 
-                        if ( pluginOn ) {
-                            
-                            self.carousel = {
-                                dom: self.api.getState( 'dom' ),
-                                tilesPerFrame: self.api.getOption( 'tilesPerFrame' ),
-                                curTileLength: self.api.getState( 'curTileLength' ),
-                                autorotate: pluginOn
-                            };
-                            
-                            // Subscribe to carousel nextFrame/after event
-                            subToken = self.api.subscribe(
-                                self.api.ns + '/nextFrame/after',
-                                self.rotateCarousel.bind( self )
-                            );
-
-                            self.api.subscribe(
-                                self.api.ns + '/cache/after',
-                                self.checkCache.bind( self )
-                            );
-
-                            self.startRotation.call( self );
-                        }
+                        if ( self.pluginOn ) self.enable( true );
                     }
                 );
+
+                this.api.subscribe(
+                    this.api.ns + '/cache/after',
+                    this.checkCache.bind( this )
+                );
+
+                this.api.subscribe(
+                    this.api.ns + '/destroy/before',
+                    this.destroy.bind( this )
+                );
+
+                // A navigation guard blocked the next frame, so don't keep trying
+                this.api.subscribe(
+                    this.api.ns + '/navigate/vetoed',
+                    this.funcs.stop
+                );
+
+                // Reduced motion pauses rotation until motion is back (the rotation control still starts it)
+                this.api.subscribe(
+                    this.api.ns + '/updateMotion/after',
+                    this.updateMotion.bind( this )
+                );
+
+                // Switched on/off or given new options, i.e. by the responsive plugin
+                this.api.subscribe(
+                    this.api.ns + '/updateOptions/after',
+                    this.updateOptions.bind( this )
+                );
+            },
+
+            enable: function( start ) {
+
+                this.carousel = {
+                    dom: this.api.getState( 'dom' ),
+                    tilesPerFrame: this.api.getOption( 'tilesPerFrame' ),
+                    curTileLength: this.api.getState( 'curTileLength' ),
+                    autorotate: false // set by startRotation
+                };
+
+                this.enabled = true;
+
+                // Rotation stops for good once keyboard focus enters the carousel
+                this.api.addEvent( this.carousel.dom.wrapper, 'focusin', this.funcs.focus );
+
+                if ( this.options.rotationControl ) this.buildControl();
+
+                if ( start && this.api.trigger( 'cache', 'reducedMotion' ) && !this.options.forceRotation ) {
+
+                    this.motionPaused = true;
+                    this.updateControl();
+                }
+
+                else if ( start ) {
+
+                    this.startRotation();
+                }
+
+                else {
+
+                    this.updateControl();
+                }
+            },
+
+            disable: function() {
+
+                this.stopRotation();
+
+                clearTimeout( this.timer );
+
+                this.api.removeEvent( this.carousel.dom.wrapper, 'focusin', this.funcs.focus );
+
+                if ( this.control ) {
+
+                    this.api.removeEvent( this.control, 'click', this.funcs.toggle );
+                    this.control.parentNode.removeChild( this.control );
+                    this.control = null;
+                }
+
+                this.enabled = false;
+            },
+
+            updateOptions: function( optsObj ) {
+
+                var pluginAttr = optsObj[ pluginNS ]
+                    , pluginOn = pluginAttr === true || this.api.getObjType( pluginAttr ) === '[object Object]'
+                    , rotating = !this.enabled || !this.pluginStopped || this.motionPaused
+                    ;
+
+                if ( !( pluginNS in optsObj ) ) return;
+
+                // Start over with the new options, rotating only if it was (or would be, once motion is back)
+                if ( this.enabled ) this.disable();
+
+                this.options = this.api.validate( pluginAttr, schema, defaults, this.api.ns + '.' + pluginNS );
+
+                if ( pluginOn ) this.enable( rotating );
             },
         
             checkCache: function( key, value ) {
@@ -86,11 +176,84 @@ define(
                 }
             },
 
+            destroy: function() {
+
+                if ( this.enabled ) this.disable();
+            },
+
+            updateMotion: function( reduced ) {
+
+                if ( !this.enabled || this.options.forceRotation ) return;
+
+                if ( reduced && !this.pluginStopped ) {
+
+                    this.stopRotation();
+                    this.motionPaused = true;
+                }
+
+                else if ( !reduced && this.motionPaused ) {
+
+                    this.startRotation();
+                }
+            },
+
+            buildControl: function() {
+
+                var wrapper = this.carousel.dom.wrapper;
+
+                this.control = document.createElement( 'button' );
+                this.control.setAttribute( 'type', 'button' );
+                this.control.setAttribute( 'class', 'carousel-rotation' );
+                this.control.setAttribute( 'aria-controls', this.carousel.dom.viewport.id );
+
+                wrapper.insertBefore( this.control, wrapper.firstChild );
+
+                this.api.addEvent( this.control, 'click', this.funcs.toggle );
+            },
+
+            handleFocus: function( e ) {
+
+                var target = e.target || e.srcElement; // IE uses srcElement
+
+                // Focusing the rotation control leaves it to the click to stop/start
+                if ( target !== this.control ) this.stopRotation();
+            },
+
+            toggleRotation: function( e ) {
+
+                // Keep the click from reaching the carousel's own stopEvent listener
+                if ( e && e.stopPropagation ) e.stopPropagation();
+
+                if ( this.pluginStopped ) this.startRotation();
+                else this.stopRotation();
+            },
+
+            updateControl: function() {
+
+                // Live announcements would interrupt the user on every rotation
+                this.carousel.dom.live.setAttribute( 'aria-live', this.pluginStopped ? 'polite' : 'off' );
+
+                if ( !this.control ) return;
+
+                this.control.innerHTML = this.pluginStopped ? this.options.startText : this.options.stopText;
+            },
+
             startRotation: function() {
-                    
-                this.rotateCarousel();
 
-                pluginStopped = false;
+                // Subscribe to carousel nextFrame/after event (when first started, or restarted from the rotation control)
+                if ( !this.carousel.autorotate ) {
+
+                    this.carousel.autorotate = true;
+                    this.pluginOn = true;
+
+                    this.subToken = this.api.subscribe(
+                        this.api.ns + '/nextFrame/after',
+                        this.rotateCarousel.bind( this )
+                    );
+                }
+
+                this.pluginStopped = false;
+                this.motionPaused = false;
                 
                 if ( this.options.stopEvent === 'hover' ) {
                     
@@ -100,19 +263,32 @@ define(
                     
                     this.api.addEvent( this.carousel.dom.wrapper, 'click', this.funcs.stop );
                 }
+
+                this.updateControl();
+
+                this.api.trigger( 'emit', 'rotationstart' );
+
+                this.rotateCarousel();
             },
         
             stopRotation: function() {
 
-                if ( !pluginStopped ) {
+                // Stopped for another reason, so motion coming back doesn't restart it
+                this.motionPaused = false;
+
+                if ( !this.pluginStopped ) {
 
                     clearTimeout( this.timer );
 
-                    this.api.unsubscribe( subToken );
+                    this.api.unsubscribe( this.subToken );
 
                     this.carousel.autorotate = false;
-                    pluginOn = false;
-                    pluginStopped = true;
+                    this.pluginOn = false;
+                    this.pluginStopped = true;
+
+                    this.updateControl();
+
+                    this.api.trigger( 'emit', 'rotationstop' );
                     
                     if ( this.options.stopEvent === 'hover' ) {
 
@@ -128,7 +304,7 @@ define(
             rotateCarousel: function() {
                 
                 var self = this;
-                var isLast = self.api.getState( 'index' ) + self.carousel.tilesPerFrame >= self.carousel.curTileLength;
+                var isLast = self.api.getState( 'index' ) >= self.api.trigger( 'getMaxIndex' );
                 
                 clearTimeout( this.timer );
                 
@@ -143,6 +319,12 @@ define(
                         
                     }, self.options.rotateInterval );
                 }
+
+                // Nothing left to rotate to
+                else if ( self.carousel.autorotate && isLast ) {
+
+                    self.stopRotation();
+                }
             },
         };
     
@@ -0,0 +1,288 @@
+/**
+ * Creates carousels from markup, so carousels can be added to a page without writing JavaScript. Every element with a `data-carousel` attribute (the list of tiles) becomes a carousel when this module loads.
+ *
+ * Options are read from the element:
+ *
+ * - `data-carousel` can hold a JSON object of options, i.e. `data-carousel='{"tilesPerFrame":2}'`
+ * - `data-carousel-*` attributes set one option each, with the option name in kebab case, i.e. `data-carousel-tiles-per-frame="2"`. Values `true`/`false`, numbers and JSON objects/arrays are converted; an empty value means `true`.
+ *
+ * Plugins are enabled the same way, and their modules are loaded before the carousel is created: `data-carousel-loop` turns the loop plugin on, and `data-carousel-pagination='{"statusOnly":true}'` turns pagination on with options.
+ *
+ * @name carousel.declarative
+ */
+define(
+
+    [
+        'require',
+        'carousel'
+    ],
+
+    function( require, carousel ) {
+
+        'use strict';
+
+        var attrName = 'data-carousel'
+            , attrPrefix = attrName + '-'
+            , rDash = /-([a-z])/g
+            , rNumeric = /^-?\d*\.?\d+$/
+            , rJSON = /^[\[{]/
+            , plugins = [ 'animate', 'autorotate', 'loop', 'pagination', 'responsive' ]
+            , elements = []
+            ;
+
+        /**
+         * Converts a kebab case attribute suffix into an option name, i.e. `tiles-per-frame` to `tilesPerFrame`
+         *
+         * @method toOptionName
+         * @param {String} str Attribute name without the `data-carousel-` prefix
+         * @return {String} Option name
+         * @private
+         */
+        function toOptionName( str ) {
+
+            return str.replace( rDash, function( match, letter ) {
+
+                return letter.toUpperCase();
+            });
+        }
+
+        /**
+         * Converts an attribute value into the option value it describes
+         *
+         * @method parseValue
+         * @param {String} value Attribute value
+         * @param {String} name Attribute name (used in error message)
+         * @return {Any} Boolean, number, object, array or string
+         * @private
+         */
+        function parseValue( value, name ) {
+
+            value = value.replace( /^\s+|\s+$/g, '' );
+
+            if ( value === '' || value === 'true' ) return true;
+            if ( value === 'false' ) return false;
+            if ( rNumeric.test( value ) ) return parseFloat( value );
+
+            if ( rJSON.test( value ) ) {
+
+                try {
+                    return JSON.parse( value );
+                }
+                catch ( err ) {
+                    throw new Error( 'carousel.declarative: invalid JSON in ' + name + ' attribute.' );
+                }
+            }
+
+            return value;
+        }
+
+        /**
+         * Reads core and plugin options from an element's data attributes
+         *
+         * @method getOptions
+         * @param {Object} element HTML element with a `data-carousel` attribute
+         * @return {Object} Options object for carousel.create
+         * @private
+         */
+        function getOptions( element ) {
+
+            var attr
+                , options = {}
+                , attributes = element.attributes
+                , blob = element.getAttribute( attrName )
+                ;
+
+            // Options in the JSON blob come first, so single attributes can override them
+            if ( blob && rJSON.test( blob.replace( /^\s+/, '' ) ) ) {
+
+                options = parseValue( blob, attrName );
+
+                if ( Object.prototype.toString.call( options ) !== '[object Object]' ) {
+
+                    throw new Error( 'carousel.declarative: ' + attrName + ' attribute must hold a JSON object.' );
+                }
+            }
+
+            for ( var i = 0; i < attributes.length; i++ ) {
+
+                attr = attributes[ i ];
+
+                if ( attr.name.indexOf( attrPrefix ) !== 0 ) continue;
+
+                options[ toOptionName( attr.name.slice( attrPrefix.length ) ) ] = parseValue( attr.value, attr.name );
+            }
+
+            options.element = element;
+
+            return options;
+        }
+
+        /**
+         * Returns the module names of the plugins turned on in an options object
+         *
+         * @method getPluginModules
+         * @param {Object} options Options object
+         * @return {Array} AMD module names, i.e. `carousel.loop`
+         * @private
+         */
+        function getPluginModules( options ) {
+
+            var value
+                , modules = []
+                ;
+
+            for ( var i = 0; i < plugins.length; i++ ) {
+
+                value = options[ plugins[ i ] ];
+
+                if ( value === true || ( value && typeof value === 'object' ) ) {
+
+                    modules.push( 'carousel.' + plugins[ i ] );
+                }
+            }
+
+            return modules;
+        }
+
+        /**
+         * Reports an element that couldn't be turned into a carousel and stops tracking it, so it can be initialized again once its markup is fixed
+         *
+         * @method fail
+         * @param {Object} element HTML element with a `data-carousel` attribute
+         * @param {Error} err Error thrown while reading options or creating the carousel
+         * @private
+         */
+        function fail( element, err ) {
+
+            var index = elements.indexOf( element );
+
+            if ( index !== -1 ) elements.splice( index, 1 );
+
+            if ( typeof console !== 'undefined' && console.warn ) console.warn( err.message || err );
+        }
+
+        /**
+         * Creates a carousel once its plugin modules have loaded
+         *
+         * @method createCarousel
+         * @param {Object} element HTML element with a `data-carousel` attribute
+         * @param {Function} callback Called with the new carousel instance, or without one if the carousel couldn't be created (i.e. a plugin module failed to load)
+         * @private
+         */
+        function createCarousel( element, callback ) {
+
+            var options
+                , modules
+                ;
+
+            try {
+                options = getOptions( element );
+            }
+            catch ( err ) {
+
+                fail( element, err );
+                callback();
+
+                return;
+            }
+
+            modules = getPluginModules( options );
+
+            require( modules, function() {
+
+                var instance;
+
+                try {
+                    instance = carousel.create( options );
+                }
+                catch ( err ) {
+
+                    fail( element, err );
+                    callback();
+
+                    return;
+                }
+
+                // Allow the element to be initialized again once the carousel is destroyed
+                instance.x.subscribe( instance.ns + '/destroy/after', function() {
+
+                    elements.splice( elements.indexOf( element ), 1 );
+                });
+
+                callback( instance );
+
+            }, function( err ) {
+
+                fail( element, new Error( 'carousel.declarative: could not load ' + ( err.requireModules || modules ).join( ', ' ) + '.' ) );
+                callback();
+            });
+        }
+
+        /**
+         * Creates a carousel for each element with a `data-carousel` attribute that hasn't been initialized yet. Elements that fail (i.e. invalid JSON, or a plugin module that fails to load) are reported with `console.warn` and skipped.
+         *
+         * @method init
+         * @param {Object} root Element or document to search in, which is included itself when it has the attribute (optional, defaults to document)
+         * @param {Function} callback Called with an array of the new carousel instances once all have been created (optional)
+         * @public
+         */
+        function init( root, callback ) {
+
+            var element
+                , instances = []
+                , found = []
+                , scope = root || document
+                , matches = scope.querySelectorAll( '[' + attrName + ']' )
+                // Starts at one for the loop below, so the callback can't run before every element has been picked up
+                , pending = 1
+                ;
+
+            var done = function( instance ) {
+
+                if ( instance ) instances.push( instance );
+
+                if ( --pending === 0 && callback ) callback( instances );
+            };
+
+            if ( scope.getAttribute && scope.getAttribute( attrName ) !== null ) found.push( scope );
+
+            for ( var i = 0; i < matches.length; i++ ) {
+
+                found.push( matches[ i ] );
+            }
+
+            for ( i = 0; i < found.length; i++ ) {
+
+                element = found[ i ];
+
+                if ( elements.indexOf( element ) !== -1 ) continue;
+
+                // Tracked right away so a second scan can't pick it up while plugins are loading
+                elements.push( element );
+                pending++;
+
+                createCarousel( element, done );
+            }
+
+            done();
+        }
+
+        // Initialize carousels already in the page
+        if ( document.readyState === 'loading' ) {
+
+            document.addEventListener( 'DOMContentLoaded', function() {
+
+                init( document );
+            }, false );
+        }
+
+        else {
+
+            init( document );
+        }
+
+        return {
+            init: init
+        };
+    }
+);
@@ -1,15 +1,38 @@
 /**
  * Create an accessible JavaScript carousel out of any unordered list of tiles. Each tile should be placed in a list item `li` within a container `ul`. Additional markup is generated by JavaScript, and several required style definitions are included in a global stylesheet. These styles are external instead of plugin-generated so they can be overridden easily if neccessary.
  *
- * Tiles can contain any html content but must be equal in width. Measurement for the overall carousel and individual tiles is based on the width of the first tile. Height can vary, although because the images are lazy loaded, image heights are evaluated just-in-time. This can lead to a slight page jump if a hidden tile is taller than the visible tiles once its images are loaded. CSS can be used to style the "previous" and "next" buttons, as well as the pagination menu (if pagination is enabled).
+ * Tiles can contain any html content but must be equal in width, unless the `variableWidth` option is set. Measurement for the overall carousel and individual tiles is based on the width of the first tile. Height can vary, although because the images are lazy loaded, image heights are evaluated just-in-time. This can lead to a slight page jump if a hidden tile is taller than the visible tiles once its images are loaded. CSS can be used to style the "previous" and "next" buttons, as well as the pagination menu (if pagination is enabled).
  *
  * Instantiate the carousel(s) by calling the plugin on an element or elements and passing an optional options object.
  *
+ * Events, navigation promises and option validation are described in the README.
+ *
  * @param options {Object}
  * @option element {HTMLElement}
- * @option tilesPerFrame {Number} Number of tiles to display per frame. Default is 1.
+ * @option tilesPerFrame {Number} Number of tiles to display per frame. Can be fractional to show part of the next tile. Default is 1.
+ * @option peek {Number|String} Space on each side of the frame for the neighbouring tiles to show through, in pixels or a percentage of the viewport width. Horizontal carousels only. Default is 0.
+ * @option gap {Number} Space between tiles in pixels. Horizontal carousels only. Default is 0.
  * @option incrementMode {String} Whether to move the carousel by frame or single tile. Accepted values are `frame` and `tile`. Default is `frame`.
+ * @option anchor {String} Which visible tile stays in view when the carousel is rebuilt. Accepted values are `first`, `center` and `last`. Default is `first`.
+ * @option center {Boolean} Default is `false`. If `true`, the current tile is kept in the middle of the viewport and clicking a neighbour brings it to the center. Not supported with `variableWidth`.
+ * @option orientation {String} Whether tiles are laid out in a row or a column. Accepted values are `horizontal` and `vertical`. Default is `horizontal`.
+ * @option dir {String} Text direction of the carousel. Accepted values are `ltr`, `rtl` and `auto` (the direction of the element). Default is `auto`.
+ * @option variableWidth {Boolean} Default is `false`. If `true`, each tile keeps its own width (set in CSS). Not supported by the loop plugin.
+ * @option dragThreshold {Number} Distance in pixels a pointer has to move before the track follows it. Default is 4.
+ * @option dragLockThreshold {Number} Distance in pixels along the carousel axis after which page scrolling is blocked during a touch drag. Default is 10.
+ * @option dragCancelThreshold {Number} Distance in pixels across the carousel axis that hands a touch gesture back to the page. Default is 3.
+ * @option flickVelocity {Number} Release speed in pixels per millisecond that counts as a flick. Default is 0.5.
+ * @option flickMomentum {Number} Milliseconds of momentum added to the drag distance of a flick. Default is 150.
+ * @option edgeResistance {Number} Resistance when the track is dragged past either end, from 0 (no overscroll) to 1 (none), or `false`. Default is 0.55.
+ * @option motion {String} Motion policy. Accepted values are `auto` (follows `prefers-reduced-motion`), `reduce` and `full`. Default is `auto`.
+ * @option reducedDragFollow {Number} Share of the drag distance the track follows while motion is reduced. Default is 0.25.
  * @option wrapControls {Boolean} Default is `false`. If `true`, a wrapper is placed around the prev/next links and pagination and centered.
+ * @option label {String} Accessible name of the carousel region, unless the list has `aria-labelledby`. Default is `Carousel`.
+ * @option roleDescription {String} Announced role of the carousel region. Default is `carousel`.
+ * @option tileRoleDescription {String} Announced role of each tile. Default is `slide`.
+ * @option tileLabel {String} Accessible name of each tile. `{number}` and `{total}` are replaced. Default is `{number} of {total}`.
+ * @option liveText {String} Live region text for a single tile. `{number}` and `{total}` are replaced. Default is `Slide {number} of {total}`.
+ * @option liveRangeText {String} Live region text for several tiles. `{number}`, `{last}` and `{total}` are replaced. Default is `Slides {number} to {last} of {total}`.
  * @option prevText {String} Default is `Previous`. Set controls previous button text.
  * @option nextText {String} Default is `Next`. Set controls next button text.
  * @option wrapperDelta {Number} Change wrapper width by this pixel value. Default is 0.
@@ -45,8 +68,29 @@ define(
             element: null,
             prevText: 'Previous',
             nextText: 'Next',
+            label: 'Carousel',
+            roleDescription: 'carousel',
+            tileRoleDescription: 'slide',
+            tileLabel: '{number} of {total}',
+            liveText: 'Slide {number} of {total}',
+            liveRangeText: 'Slides {number} to {last} of {total}',
             tilesPerFrame: 1,
+            peek: 0, // px, or % of the viewport
+            gap: 0, // px
             incrementMode: 'frame', // tile or frame
+            anchor: 'first', // visible tile kept in view on reinit: first, center or last
+            center: false,
+            orientation: 'horizontal', // horizontal or vertical
+            dir: 'auto', // ltr, rtl or auto
+            variableWidth: false,
+            dragThreshold: 4,
+            dragLockThreshold: 10,
+            dragCancelThreshold: 3,
+            flickVelocity: 0.5, // px per ms
+            flickMomentum: 150, // ms
+            edgeResistance: 0.55,
+            motion: 'auto', // auto (follow prefers-reduced-motion), reduce or full
+            reducedDragFollow: 0.25,
             wrapControls: false,
             accessible: true,
             preFrameChange: null,
@@ -54,15 +98,82 @@ define(
             ready: null,
             wrapperClass: '',
             preventNavDisable: false,
-            tileClass: 'carousel-tile'
+            tileClass: 'carousel-tile',
+            wrapperDelta: 0,
+            viewportDelta: 0
+        };
+
+        // Rules for each core option, checked by validateOptions (plugins describe their own options the same way)
+        var schema = {
+            element: { type: 'element', required: true },
+            prevText: { type: 'string' },
+            nextText: { type: 'string' },
+            label: { type: 'string' },
+            roleDescription: { type: 'string' },
+            tileRoleDescription: { type: 'string' },
+            tileLabel: { type: 'string' },
+            liveText: { type: 'string' },
+            liveRangeText: { type: 'string' },
+            tilesPerFrame: { type: 'number', min: 1 },
+            peek: { type: 'length', min: 0 },
+            gap: { type: 'number', min: 0 },
+            incrementMode: { type: 'string', values: [ 'frame', 'tile' ] },
+            anchor: { type: 'string', values: [ 'first', 'center', 'last' ] },
+            center: { type: 'boolean' },
+            orientation: { type: 'string', values: [ 'horizontal', 'vertical' ] },
+            dir: { type: 'string', values: [ 'ltr', 'rtl', 'auto' ] },
+            variableWidth: { type: 'boolean' },
+            dragThreshold: { type: 'number', min: 0 },
+            dragLockThreshold: { type: 'number', min: 0 },
+            dragCancelThreshold: { type: 'number', min: 0 },
+            flickVelocity: { type: 'number', min: 0 },
+            flickMomentum: { type: 'number', min: 0 },
+            edgeResistance: { type: 'number', min: 0, max: 1, allow: [ false ] },
+            motion: { type: 'string', values: [ 'auto', 'reduce', 'full' ] },
+            reducedDragFollow: { type: 'number', min: 0, max: 1 },
+            wrapControls: { type: 'boolean' },
+            accessible: { type: 'boolean' },
+            preFrameChange: { type: 'function', nullable: true },
+            postFrameChange: { type: 'function', nullable: true },
+            ready: { type: 'function', nullable: true },
+            wrapperClass: { type: 'string' },
+            preventNavDisable: { type: 'boolean' },
+            tileClass: { type: 'string' },
+            wrapperDelta: { type: 'number', integer: true },
+            viewportDelta: { type: 'number', integer: true }
         };
 
         var activeClass = 'state-visible'
             , inactiveClass = 'state-hidden'
+            , verticalClass = 'carousel-vertical'
+            , rtlClass = 'carousel-rtl'
+            , variableClass = 'carousel-variable'
+            , reducedMotionClass = 'carousel-reduced-motion'
+            , peekClass = 'state-peek'
+            , activeTileClass = 'state-active'
+            ;
+
+        // Options that change how tiles are grouped into frames or sized, so updating them rebuilds the carousel
+        var rebuildOptions = [ 'tilesPerFrame', 'peek', 'gap', 'center', 'incrementMode', 'wrapperClass' ];
+
+        // Focusable content inside tiles, taken out of the tab order while the tile is hidden
+        var focusableSelector = 'a[href], area[href], button, input, select, textarea, iframe, object, embed, [tabindex], [contenteditable]'
+            , tabindexAttr = 'data-crsl-tabindex'
+            , rFormField = /^(input|textarea|select|option)$/i
+            ;
+
+        // Lengths given as pixels ("40px") or a percentage ("10%")
+        var rPixels = /^\d*\.?\d+(px)?$/
+            , rPercent = /^\d*\.?\d+%$/
             ;
 
-        // Options that require integers
-        var defaultInts = [ 'tilesPerFrame', 'wrapperDelta', 'viewportDelta' ];
+        // Position of each tile (1-based), copied to loop clones along with the rest of the tile
+        var numberAttr = 'data-crsl-number'
+            , rNumber = /\{number\}/g
+            , rLast = /\{last\}/g
+            , rTotal = /\{total\}/g
+            , viewportUid = 0
+            ;
 
         // Define templates
         var templates = {
@@ -70,7 +181,8 @@ define(
             viewport: [ 'div', 'carousel-viewport' ],
             button: [ 'button' ],
             controls: [ 'div', 'carousel-controls' ],
-            controlsWrapper: [ 'div', 'carousel-controls-wrapper' ]
+            controlsWrapper: [ 'div', 'carousel-controls-wrapper' ],
+            live: [ 'div', 'carousel-live' ]
         };
 
         // Compile templates
@@ -126,6 +238,86 @@ define(
             return height;
         }
 
+        /**
+         * Returns the outer size of an element along the carousel axis
+         *
+         * @method outerSize
+         * @param {Object} element HTML element
+         * @param {Boolean} vertical Measure height instead of width
+         * @return {Number} Outer width or height value of requested element
+         * @private
+         */
+        function outerSize( element, vertical ) {
+
+            return vertical ? outerHeight( element ) : outerWidth( element );
+        }
+
+        /**
+         * Determines the text direction of an element from its own or its closest ancestor's `dir` attribute, falling back to computed style
+         *
+         * @method getDirection
+         * @param {Object} element HTML element
+         * @return {String} `ltr` or `rtl`
+         * @private
+         */
+        function getDirection( element ) {
+
+            var style
+                , node = element
+                ;
+
+            while ( node && node.getAttribute ) {
+
+                if ( /^(ltr|rtl)$/i.test( node.getAttribute( 'dir' ) ) ) {
+
+                    return node.getAttribute( 'dir' ).toLowerCase();
+                }
+
+                node = node.parentNode;
+            }
+
+            style = window.getComputedStyle ? getComputedStyle( element ) : element.currentStyle; // element.currentStyle is for IE8
+
+            return style && style.direction === 'rtl' ? 'rtl' : 'ltr';
+        }
+
+        /**
+         * Takes focusable content inside a tile out of the tab order, or puts it back, keeping track of the original tabindex
+         *
+         * @method setTabbable
+         * @param {Object} tile HTML element
+         * @param {Boolean} tabbable Whether content should be reachable with the tab key
+         * @private
+         */
+        function setTabbable( tile, tabbable ) {
+
+            var el
+                , origValue
+                , focusables = tile.querySelectorAll ? tile.querySelectorAll( focusableSelector ) : []
+                ;
+
+            for ( var i = 0; i < focusables.length; i++ ) {
+
+                el = focusables[ i ];
+
+                if ( !tabbable && !el.hasAttribute( tabindexAttr ) ) {
+
+                    el.setAttribute( tabindexAttr, el.hasAttribute( tabindex ) ? el.getAttribute( tabindex ) : '' );
+                    el.setAttribute( tabindex, '-1' );
+                }
+
+                else if ( tabbable && el.hasAttribute( tabindexAttr ) ) {
+
+                    origValue = el.getAttribute( tabindexAttr );
+
+                    if ( origValue === '' ) el.removeAttribute( tabindex );
+                    else el.setAttribute( tabindex, origValue );
+
+                    el.removeAttribute( tabindexAttr );
+                }
+            }
+        }
+
         /**
          * Inserts an HTML element after another HTML element (like jQuery's insertAfter and after methods)
          *
@@ -192,6 +384,343 @@ define(
             }
         }
 
+        /**
+         * Takes a snapshot of all attributes currently set on an HTML element
+         *
+         * @method getAttributes
+         * @param {Object} element HTML element
+         * @return {Array} List of name/value pairs
+         * @private
+         */
+        function getAttributes( element ) {
+
+            var attrs = []
+                , attributes = element.attributes
+                ;
+
+            for ( var i = 0, len = attributes.length; i < len; i++ ) {
+
+                attrs.push( { name: attributes[ i ].name, value: attributes[ i ].value } );
+            }
+
+            return attrs;
+        }
+
+        /**
+         * Restores attributes from a snapshot taken by getAttributes, removing any attribute added since
+         *
+         * @method setAttributes
+         * @param {Object} element HTML element
+         * @param {Array} attrs List of name/value pairs
+         * @private
+         */
+        function setAttributes( element, attrs ) {
+
+            var attributes = element.attributes;
+
+            // Loop backwards since attributes is a live collection
+            for ( var i = attributes.length - 1; i >= 0; i-- ) {
+
+                element.removeAttribute( attributes[ i ].name );
+            }
+
+            for ( i = 0; i < attrs.length; i++ ) {
+
+                element.setAttribute( attrs[ i ].name, attrs[ i ].value );
+            }
+        }
+
+        /**
+         * Creates the error a navigation promise rejects with
+         *
+         * @method navigationError
+         * @param {String} ns Namespace of the carousel
+         * @param {String} reason Why the navigation didn't finish, i.e. `interrupted`
+         * @return {Error} Error with the reason set as `reason`
+         * @private
+         */
+        function navigationError( ns, reason ) {
+
+            var error = new Error( ns + ': navigation ' + reason + '.' );
+
+            error.reason = reason;
+
+            return error;
+        }
+
+        /**
+         * Formats an option value for a validation message
+         *
+         * @method formatValue
+         * @param {Any} value Option value
+         * @return {String} Readable value, strings in quotes
+         * @private
+         */
+        function formatValue( value ) {
+
+            if ( typeof value === 'string' ) return '"' + value + '"';
+            if ( typeof value === 'function' ) return 'a function';
+            if ( value && value.nodeType ) return 'an HTML element';
+            if ( getObjType( value ) === '[object Object]' ) return 'an object';
+
+            return String( value );
+        }
+
+        /**
+         * Number of single character edits between two strings (used to suggest a misspelled option name)
+         *
+         * @method editDistance
+         * @param {String} a First string
+         * @param {String} b Second string
+         * @return {Number} Edit distance
+         * @private
+         */
+        function editDistance( a, b ) {
+
+            var prev
+                , diag
+                , row = []
+                ;
+
+            for ( var j = 0; j <= b.length; j++ ) row[ j ] = j;
+
+            for ( var i = 1; i <= a.length; i++ ) {
+
+                diag = row[ 0 ];
+                row[ 0 ] = i;
+
+                for ( j = 1; j <= b.length; j++ ) {
+
+                    prev = row[ j ];
+                    row[ j ] = Math.min( row[ j ] + 1, row[ j - 1 ] + 1, diag + ( a.charAt( i - 1 ) === b.charAt( j - 1 ) ? 0 : 1 ) );
+                    diag = prev;
+                }
+            }
+
+            return row[ b.length ];
+        }
+
+        /**
+         * Checks a single option value against its rule, coercing it where that's safe (i.e. "3" to 3)
+         *
+         * @method checkOption
+         * @param {String} key Option name
+         * @param {Any} value Option value
+         * @param {Object} rule Rule from a schema: `type` (or an array of types, the first that fits wins), and optionally `values`, `min`, `max`, `integer`, `nullable`, `allow`
+         * @return {Object} Object with the (coerced) `value`, or an `error` message, and optionally a `warning` message
+         * @private
+         */
+        function checkOption( key, value, rule ) {
+
+            var typeRule
+                , name = 'option "' + key + '"'
+                , got = ' (got ' + formatValue( value ) + ').'
+                , result = {}
+                ;
+
+            if ( ( value === null && rule.nullable ) || ( rule.allow && rule.allow.indexOf( value ) !== -1 ) ) {
+
+                return { value: value };
+            }
+
+            if ( getObjType( rule.type ) === '[object Array]' ) {
+
+                for ( var i = 0; i < rule.type.length; i++ ) {
+
+                    typeRule = { type: rule.type[ i ] };
+
+                    for ( var prop in rule ) {
+
+                        if ( rule.hasOwnProperty( prop ) && prop !== 'type' ) typeRule[ prop ] = rule[ prop ];
+                    }
+
+                    result = checkOption( key, value, typeRule );
+
+                    if ( !result.error ) return result;
+                }
+
+                return { error: name + ' must be ' + ( /^[aeiou]/.test( rule.type[ 0 ] ) ? 'an ' : 'a ' ) + rule.type.slice( 0, -1 ).join( ', ' ) + ' or ' + rule.type[ rule.type.length - 1 ] + got };
+            }
+
+            switch ( rule.type ) {
+
+                case 'number':
+
+                    if ( typeof value === 'string' && value !== '' && !isNaN( value ) ) value = parseFloat( value );
+
+                    if ( typeof value !== 'number' || isNaN( value ) ) return { error: name + ' must be a number' + got };
+
+                    if ( rule.integer && value % 1 !== 0 ) {
+
+                        result.warning = name + ' must be a whole number' + got + ' Using ' + Math.floor( value ) + '.';
+                        value = Math.floor( value );
+                    }
+
+                    if ( typeof rule.min === 'number' && value < rule.min ) return { error: name + ' must be at least ' + rule.min + got };
+                    if ( typeof rule.max === 'number' && value > rule.max ) return { error: name + ' must be at most ' + rule.max + got };
+
+                    break;
+
+                case 'string':
+
+                    if ( typeof value === 'number' ) value = String( value );
+
+                    if ( typeof value !== 'string' ) return { error: name + ' must be a string' + got };
+
+                    if ( rule.values && rule.values.indexOf( value ) === -1 ) {
+
+                        return { error: name + ' must be one of "' + rule.values.join( '", "' ) + '"' + got };
+                    }
+
+                    break;
+
+                case 'length':
+
+                    if ( typeof value === 'string' && rPixels.test( value ) ) value = parseFloat( value );
+
+                    if ( !( typeof value === 'number' && !isNaN( value ) ) && !( typeof value === 'string' && rPercent.test( value ) ) ) {
+
+                        return { error: name + ' must be a number of pixels or a percentage' + got };
+                    }
+
+                    if ( typeof rule.min === 'number' && parseFloat( value ) < rule.min ) return { error: name + ' must be at least ' + rule.min + got };
+
+                    break;
+
+                case 'boolean':
+
+                    if ( value === 'true' || value === 'false' ) value = value === 'true';
+
+                    if ( typeof value !== 'boolean' ) return { error: name + ' must be true or false' + got };
+
+                    break;
+
+                case 'function':
+
+                    if ( typeof value !== 'function' ) return { error: name + ' must be a function' + got };
+
+                    break;
+
+                case 'element':
+
+                    if ( !value || value.nodeType !== 1 ) return { error: name + ' must be an HTML element' + got };
+
+                    break;
+
+                case 'array':
+
+                    if ( getObjType( value ) !== '[object Array]' ) return { error: name + ' must be an array' + got };
+
+                    break;
+
+                case 'object':
+
+                    if ( getObjType( value ) !== '[object Object]' ) return { error: name + ' must be an object' + got };
+
+                    break;
+            }
+
+            result.value = value;
+
+            return result;
+        }
+
+        /**
+         * Validates an options object against a schema. Invalid values are reported and replaced by their default, unknown options are reported (with the closest option name as a suggestion), and a missing or invalid required option throws an error.
+         *
+         * @method validateOptions
+         * @param {Object} options Options passed in by the user
+         * @param {Object} schema Rules for each known option
+         * @param {Object} defaults Default options to validate on top of. If not set, only the passed options are checked (i.e. for an update).
+         * @param {String} name Name of the component or plugin, used in messages (i.e. `carousel.pagination`)
+         * @param {Function} isExtraKey Returns true for keys that are valid without being in the schema (optional)
+         * @return {Object} New options object with defaults and the valid (coerced) options
+         * @private
+         */
+        function validateOptions( options, schema, defaults, name, isExtraKey ) {
+
+            var key
+                , rule
+                , result
+                , suggestion
+                , distance
+                , validated = {}
+                ;
+
+            var warn = function( message ) {
+
+                if ( typeof console !== 'undefined' && console.warn ) console.warn( name + ': ' + message );
+            };
+
+            for ( key in defaults ) {
+
+                if ( defaults.hasOwnProperty( key ) ) validated[ key ] = defaults[ key ];
+            }
+
+            if ( getObjType( options ) !== '[object Object]' ) options = {};
+
+            for ( key in options ) {
+
+                if ( !options.hasOwnProperty( key ) ) continue;
+
+                rule = schema[ key ];
+
+                if ( !rule ) {
+
+                    validated[ key ] = options[ key ];
+
+                    if ( isExtraKey && isExtraKey( key, options[ key ], warn ) ) continue;
+
+                    suggestion = null;
+                    distance = 3;
+
+                    for ( var known in schema ) {
+
+                        if ( schema.hasOwnProperty( known ) && editDistance( key.toLowerCase(), known.toLowerCase() ) < distance ) {
+
+                            suggestion = known;
+                            distance = editDistance( key.toLowerCase(), known.toLowerCase() );
+                        }
+                    }
+
+                    warn( 'unknown option "' + key + '".' + ( suggestion ? ' Did you mean "' + suggestion + '"?'
+                        : options[ key ] === true || getObjType( options[ key ] ) === '[object Object]' ? ' If it is a plugin, load its module before creating the carousel.'
+                        : '' ) );
+
+                    continue;
+                }
+
+                result = checkOption( key, options[ key ], rule );
+
+                if ( result.error ) {
+
+                    if ( rule.required ) throw new Error( name + ': ' + result.error );
+
+                    warn( result.error + ( defaults && key in defaults ? ' Using default ' + formatValue( defaults[ key ] ) + '.' : ' Option ignored.' ) );
+
+                    continue;
+                }
+
+                if ( result.warning ) warn( result.warning );
+
+                validated[ key ] = result.value;
+            }
+
+            // Required options can only be missing from a full set of options
+            if ( defaults ) {
+
+                for ( key in schema ) {
+
+                    if ( schema.hasOwnProperty( key ) && schema[ key ].required && ( validated[ key ] === null || typeof validated[ key ] === 'undefined' ) ) {
+
+                        throw new Error( name + ': option "' + key + '" is required.' );
+                    }
+                }
+            }
+
+            return validated;
+        }
+
         /**
          * Provides a more accurate object type string than typeof operator
          *
@@ -262,6 +791,31 @@ define(
             };
         }
 
+        /**
+         * Works out the size of horizontal fixed width tiles that have a peek or gap, which take their space out of the viewport
+         *
+         * @method getPixelSizes
+         * @param {Object} options Carousel options
+         * @param {Number} viewportSize Width of the viewport in pixels
+         * @return {Object} Object with the `peek` and `tileSize` in pixels, or null if tiles are sized in percent
+         * @private
+         */
+        function getPixelSizes( options, viewportSize ) {
+
+            var peek
+                , tilesPerFrame = options.tilesPerFrame
+                ;
+
+            if ( !( options.peek || options.gap ) || options.orientation === 'vertical' || options.variableWidth || !( viewportSize > 0 ) ) return null;
+
+            peek = typeof options.peek === 'string' ? parseFloat( options.peek ) / 100 * viewportSize : options.peek;
+
+            return {
+                peek: peek,
+                tileSize: Math.max( 1, ( viewportSize - ( 2 * peek ) - ( ( tilesPerFrame - 1 ) * options.gap ) ) / tilesPerFrame )
+            };
+        }
+
         /**
          * Toggles class on an HTML element (mimics addClass and removeClass jQuery methods)
          *
@@ -314,24 +868,30 @@ define(
                 var self = this;
 
                 self.cacheObj = {};
-                self.element = options.element;
-                self.options = self.x.extend( {}, defaults, options );
-
-                // Make sure the options are integers
-                for ( var i = 0; i < defaultInts.length; i++ ) {
-
-                    self.options[ defaultInts[ i ] ] = parseInt( self.options[ defaultInts[ i ] ], 10 );
-                }
+                self.destroyed = false;
+                self.listeners = [];
+                self.events = {};
+                self.guards = [];
+                self.focusHandler = self.focusHandler.bind( self );
+                self.motionHandler = self.updateMotion.bind( self );
+                self.resizeHandler = self.handleResize.bind( self );
+                self.options = validateOptions( options, schema, defaults, self.ns, self.isPluginOption.bind( self ) );
+                self.element = self.options.element;
 
                 // Add utilities to the API passed to plugins
                 self.x.outerWidth = outerWidth;
                 self.x.outerHeight = outerHeight;
+                self.x.outerSize = outerSize;
                 self.x.insertAfter = insertAfter;
                 self.x.addEvent = addEvent;
                 self.x.removeEvent = removeEvent;
                 self.x.getObjType = getObjType;
                 self.x.getTransSupport = getTransSupport;
                 self.x.toggleClass = toggleClass;
+                self.x.validate = validateOptions;
+
+                // Subscribed before plugins, so events see the state after plugins have handled a change
+                self.bindEvents();
 
                 // Setup plugins
                 self.setupPlugins();
@@ -368,38 +928,107 @@ define(
                 self.wrapper = wrapper;
                 self.carousel = carousel;
                 self.viewport = viewport;
+                self.live = templates.live.cloneNode( true );
 
-                // Remove and build the carousel
-                parentNode.removeChild( carousel );
-                wrapper.appendChild( viewport );
-                viewport.appendChild( carousel );
+                // WAI-ARIA carousel pattern: a labelled region, controlled by the buttons through the viewport id
+                wrapper.setAttribute( 'role', 'region' );
+                wrapper.setAttribute( 'aria-roledescription', options.roleDescription );
 
-                // Replace the carousel
-                if ( nextSibling ) {
-                    insertAfter( wrapper, nextSibling );
+                if ( carousel.hasAttribute( 'aria-labelledby' ) ) {
+
+                    wrapper.setAttribute( 'aria-labelledby', carousel.getAttribute( 'aria-labelledby' ) );
                 }
 
                 else {
-                    parentNode.appendChild( wrapper );
+
+                    wrapper.setAttribute( 'aria-label', options.label );
                 }
 
-                // Determine CSS transition support
-                rtnObj = getTransSupport();
-                self.cache( 'supportsTransitions', rtnObj.supported );
-                self.cache( 'transitionData', rtnObj.data );
+                viewport.id = 'carousel-viewport-' + ( ++viewportUid );
 
-                // Build out the frames and state object
-                self.initState();
+                // Announces frame changes to screen readers
+                self.live.setAttribute( 'aria-live', 'polite' );
+                self.live.setAttribute( 'aria-atomic', 'true' );
 
-                self.buildNavigation();
+                if ( options.orientation === 'vertical' ) {
+
+                    toggleClass( wrapper, verticalClass, true );
+                }
+
+                if ( options.variableWidth ) {
+
+                    toggleClass( wrapper, variableClass, true );
+                }
+
+                // Mirror horizontal movement and controls for right-to-left languages
+                self.cache( 'rtl', options.orientation !== 'vertical' &&
+                    ( options.dir === 'auto' ? getDirection( carousel ) : options.dir ) === 'rtl' );
+
+                if ( self.cache( 'rtl' ) ) {
+
+                    toggleClass( wrapper, rtlClass, true );
+                    wrapper.setAttribute( 'dir', 'rtl' );
+                }
+
+                // Follow the user's motion preference, also when it changes while the page is open
+                if ( window.matchMedia ) {
+
+                    self.motionQuery = window.matchMedia( '(prefers-reduced-motion: reduce)' );
+
+                    if ( self.motionQuery.addEventListener ) self.motionQuery.addEventListener( 'change', self.motionHandler );
+                    else if ( self.motionQuery.addListener ) self.motionQuery.addListener( self.motionHandler );
+                }
+
+                self.updateMotion();
+
+                // Save the original markup so it can be restored by destroy
+                self.cache( 'origDom', {
+                    parentNode: parentNode,
+                    nextSibling: nextSibling,
+                    attributes: getAttributes( carousel ),
+                    tiles: []
+                });
+
+                for ( var i = 0, len = carousel.children.length; i < len; i++ ) {
+
+                    self.cache( 'origDom' ).tiles.push({
+                        element: carousel.children[ i ],
+                        attributes: getAttributes( carousel.children[ i ] )
+                    });
+                }
+
+                // Remove and build the carousel
+                parentNode.removeChild( carousel );
+                wrapper.appendChild( viewport );
+                wrapper.appendChild( self.live );
+                viewport.appendChild( carousel );
+
+                // Replace the carousel
+                parentNode.insertBefore( wrapper, nextSibling );
+
+                // Determine CSS transition support
+                rtnObj = getTransSupport();
+                self.cache( 'supportsTransitions', rtnObj.supported );
+                self.cache( 'transitionData', rtnObj.data );
+
+                // Build out the frames and state object
+                self.initState();
+
+                self.buildNavigation();
+
+                // Arrow, Home/End and PageUp/PageDown keys anywhere in the carousel
+                self.addListener( wrapper, 'keydown', self.handleKeyboard.bind( self ) );
+
+                // Clicks on the neighbours of the centered tile
+                self.addListener( carousel, 'click', self.handleTileClick.bind( self ) );
 
                 // Listen for focus on tiles
                 var panels = carousel.querySelectorAll( '.' + options.tileClass );
 
-                for ( var i = 0, len = panels.length; i < len; ++i ) {
+                for ( i = 0, len = panels.length; i < len; ++i ) {
 
-                    addEvent( panels[ i ], 'focus', self.focusHandler );
-                    addEvent( panels[ i ], 'blur', self.focusHandler );
+                    self.addListener( panels[ i ], 'focus', self.focusHandler );
+                    self.addListener( panels[ i ], 'blur', self.focusHandler );
                 }
 
                 self.initSwipe();
@@ -426,10 +1055,9 @@ define(
                     , carousel          = self.carousel
                     , tileArr           = carousel.children
                     , options           = self.options
-                    , tilesPerFrame     = options.tilesPerFrame
                     , origTileLength    = tileArr.length
                     , curTileLength     = origTileLength
-                    , frameLength       = Math.ceil( curTileLength / tilesPerFrame )
+                    , frameLength       = Math.ceil( curTileLength / self.getFrameStep() )
                     , state = {
                         index: 0,
                         prevIndex: false,
@@ -445,6 +1073,7 @@ define(
                         dom: {
                             wrapper: self.wrapper,
                             viewport: self.viewport,
+                            live: self.live,
                             carousel: self.element,
                             controls: self.controls,
                             prevBtn: self.prevBtn,
@@ -461,6 +1090,8 @@ define(
 
                 self.toggleAria( tileArr, 'add', options.tileClass ); //init tile classes (all tiles hidden by default)
 
+                self.labelTiles();
+
                 // Build the normalized frames array
                 self.buildFrames();
 
@@ -468,48 +1099,152 @@ define(
             },
             
             /**
-             * TODO
+             * Lets the track be dragged with touch, mouse or pen. Uses Pointer Events where supported, otherwise touch and mouse events. Native input is normalized into `carousel.dragstart`, `carousel.dragmove` and `carousel.dragend` custom events on the track, which drive navigation.
+             *
+             * @method initSwipe
+             * @public
              */
             initSwipe: function() {
 
                 var origin
                     , stopMove
+                    , springTimer
+                    , lastTouch
+                    , suppressClick
+                    , dragging = false
+                    , activePointer = null
                     , transCache = ''
                     , self = this
                     , options = self.options
                     , state = self.state
-                    , tileWidth = self.cache( 'tileWidth' ) / window.devicePixelRatio //adjust for Retina
+                    , vertical = options.orientation === 'vertical'
+                    , rtl = self.cache( 'rtl' )
+                    , tileWidth = self.cache( 'tileSize' )
                     , touchData = {}
+                    , samples = []
                     , elem = self.carousel
                     , noTrans = 'carousel-no-transition'
+                    , draggingClass = 'carousel-dragging'
+                    , springClass = 'carousel-spring'
+                    , loopAttr = options.loop
+                    , isLoop = ( typeof loopAttr === 'boolean' && loopAttr === true ) || typeof loopAttr === 'object'
                     , evtDetail = { 'detail': { data: touchData } }
-                    , tilePercent = self.cache( 'tilePercent' )
                     , transitionData = self.cache( 'transitionData' )
                     , vendorPrefix = ( transitionData && typeof transitionData.prefix !== 'undefined' ) ? transitionData.prefix : ''
                     , transformAttr = vendorPrefix + 'transform'
                     , dragThreshold = function( deltaX ) {
 
-                        return Math.abs( deltaX ) > 4;
+                        return Math.abs( deltaX ) > options.dragThreshold;
+                    }
+                    , trackVelocity = function( phase ) {
+
+                        var first
+                            , last
+                            , now = new Date().getTime()
+                            ;
+
+                        if ( phase === 'start' ) samples = [];
+
+                        if ( phase !== 'end' ) samples.push( { time: now, delta: touchData.delta } );
+
+                        // Only the last 100ms of movement count towards the release speed
+                        while ( samples.length && now - samples[ 0 ].time > 100 ) {
+
+                            samples.shift();
+                        }
+
+                        first = samples[ 0 ];
+                        last = samples[ samples.length - 1 ];
+
+                        touchData.velocity = samples.length > 1 && last.time > first.time ?
+                            ( last.delta - first.delta ) / ( last.time - first.time ) : 0;
+                    }
+                    , overscroll = function( delta ) {
+
+                        var resistance = options.edgeResistance
+                            , dimension = vertical ? self.viewport.offsetHeight : self.viewport.offsetWidth
+                            , distance = Math.abs( delta )
+                            ;
+
+                        if ( resistance === false || isLoop ) return delta;
+
+                        if ( !resistance || !dimension ) return 0;
+
+                        // Rubber-band curve: the further the drag, the slower the track follows
+                        distance = ( 1 - ( 1 / ( ( distance * resistance / dimension ) + 1 ) ) ) * dimension;
+
+                        return delta < 0 ? -distance : distance;
+                    }
+                    , springBack = function() {
+
+                        toggleClass( elem, noTrans, false );
+                        toggleClass( elem, springClass, true );
+
+                        elem.style.transform = transCache;
+                        elem.style[ transformAttr ] = transCache;
+
+                        transCache = '';
+
+                        self.updatePeek();
+
+                        clearTimeout( springTimer );
+
+                        springTimer = setTimeout( function() {
+
+                            toggleClass( elem, springClass, false );
+
+                        }, 300 );
+                    }
+                    , getSwipeIndex = function( forward, steps ) {
+
+                        var index = state.index;
+
+                        if ( options.incrementMode === 'tile' ) return forward ? index + steps : index - steps;
+
+                        // Frame mode moves by whole frames
+                        steps = Math.max( 1, Math.round( steps / self.getFrameSize( index ) ) );
+
+                        while ( steps-- ) {
+
+                            index = forward ? index + self.getFrameSize( index ) : self.getPrevFrameStart( index );
+                        }
+
+                        return index;
+                    }
+                    , getPoint = function( e ) {
+
+                        var touches = e.touches || ( e.originalEvent && e.originalEvent.touches );
+
+                        // Pointer and mouse events carry coordinates themselves
+                        return touches ? touches[ 0 ] : e;
                     }
-                    , setData = function( e ) {
+                    , setData = function( e, phase ) {
+
+                        var point = getPoint( e );
 
-                        var touches = e.touches || e.originalEvent.touches;
+                        if ( phase === 'start' ) {
 
-                        if ( e.type === 'touchstart' ) {
+                            // Variable width tiles use the width of the current tile, others the last measured one (it changes when the carousel is resized)
+                            tileWidth = options.variableWidth && state.curTile ? outerSize( state.curTile, vertical ) : self.cache( 'tileSize' );
 
                             origin = {
-                                x : touches[ 0 ].pageX,
-                                y: touches[ 0 ].pageY
+                                x : point.pageX,
+                                y: point.pageY
                             };
+
+                            touchData.pointerType = e.pointerType || ( e.touches ? 'touch' : 'mouse' );
+                            touchData.cancelled = false;
                         }
 
                         stopMove = false;
 
-                        if ( touches[ 0 ] && touches[ 0 ].pageX ) {
+                        if ( point && point.pageX ) {
 
-                            touchData.touches = touches;
-                            touchData.deltaX = touches[ 0 ].pageX - origin.x;
-                            touchData.deltaY = touches[ 0 ].pageY - origin.y;
+                            touchData.touches = e.touches || [ point ];
+                            touchData.deltaX = point.pageX - origin.x;
+                            touchData.deltaY = point.pageY - origin.y;
+                            touchData.delta = vertical ? touchData.deltaY : touchData.deltaX; //movement along the carousel axis
+                            touchData.crossDelta = vertical ? touchData.deltaX : touchData.deltaY;
                             touchData.w = tileWidth;
                             touchData.h = tileWidth;
                             touchData.xPercent = touchData.deltaX / touchData.w;
@@ -517,123 +1252,225 @@ define(
                             touchData.srcEvent = e;
                         }
 
+                        trackVelocity( phase );
                     }
-                    , emitEvents = function( e ){
+                    , emitEvents = function( phase ){
 
                         var thisEvt;
 
-                        setData( e );
-
                         if ( touchData.touches.length === 1 ) {
 
-                            thisEvt = new CustomEvent( self.ns + '.drag' + e.type.split( 'touch' )[ 1 ], evtDetail );
+                            thisEvt = new CustomEvent( self.ns + '.drag' + phase, evtDetail );
 
                             elem.dispatchEvent( thisEvt );
                         }
-                    };
+                    }
+                    , isActive = function( e ) {
 
-                /*
-                 *  Native touch event listeners
-                 */
-                addEvent( elem, 'touchstart', function( e ) {
+                        if ( activePointer === null ) return false;
 
-                    toggleClass( elem, noTrans, true );
+                        return typeof e.pointerId === 'undefined' || e.pointerId === activePointer;
+                    }
+                    , start = function( e ) {
 
-                    transCache = elem.style.transform;
+                        // Ignore secondary pointers, non-primary mouse buttons and multi-touch
+                        if ( activePointer !== null ) return;
+                        if ( e.pointerType ? !e.isPrimary : e.touches && e.touches.length !== 1 ) return;
+                        if ( typeof e.button === 'number' && e.button !== 0 && !e.touches ) return;
 
-                    emitEvents( e );
-                });
+                        activePointer = typeof e.pointerId !== 'undefined' ? e.pointerId : 1;
+                        suppressClick = false;
+                        dragging = false;
 
-                addEvent( elem, 'touchmove', function( e ) {
+                        setData( e, 'start' );
+                        emitEvents( 'start' );
+                    }
+                    , beginDrag = function( e ) {
 
-                    if ( Math.abs( touchData.deltaX ) > 10 ) {
+                        dragging = true;
 
-                        if ( e && e.preventDefault ) {
+                        // Keep receiving pointer events when the pointer leaves the track. Taken only once dragging, as it retargets the click that follows a tap to the track.
+                        if ( e.pointerId !== undefined && elem.setPointerCapture ) {
 
-                            e.preventDefault();
+                            try {
+                                elem.setPointerCapture( e.pointerId );
+                            }
+                            catch ( err ) {}
                         }
-                    }
 
-                    else if ( Math.abs( touchData.deltaY ) > 3 ) {
+                        self.x.publish( self.ns + '/drag/before' );
 
-                        stopMove = true;
+                        toggleClass( elem, noTrans, true );
+                        toggleClass( elem, draggingClass, true );
+
+                        transCache = elem.style.transform;
                     }
+                    , move = function( e ) {
+
+                        if ( !isActive( e ) ) return;
+
+                        // Thresholds are checked against this move, not the one before it
+                        setData( e, 'move' );
+
+                        if ( Math.abs( touchData.delta ) > options.dragLockThreshold ) {
 
-                    if ( !stopMove ) {
+                            if ( e && e.preventDefault ) {
 
-                        setData( e );
-                        emitEvents( e );
+                                e.preventDefault();
+                            }
+                        }
+
+                        else if ( Math.abs( touchData.crossDelta ) > options.dragCancelThreshold ) {
+
+                            stopMove = true;
+                        }
+
+                        if ( !stopMove ) {
+
+                            // Taps and clicks are left alone until the pointer has moved far enough along the track
+                            if ( !dragging && Math.abs( touchData.delta ) > options.dragLockThreshold ) beginDrag( e );
+
+                            emitEvents( 'move' );
+                        }
                     }
-                });
+                    , end = function( e ) {
+
+                        if ( !isActive( e ) ) return;
+
+                        activePointer = null;
+
+                        // The browser took over the gesture (i.e. scrolling), so the track should snap back
+                        touchData.cancelled = e.type === 'pointercancel' || e.type === 'touchcancel';
+
+                        // A drag shouldn't also count as a click on a link inside a tile
+                        suppressClick = dragging && dragThreshold( touchData.delta );
+
+                        toggleClass( elem, noTrans, false );
+                        toggleClass( elem, draggingClass, false );
+
+                        setData( e, 'end' );
+                        emitEvents( 'end' );
+
+                        dragging = false;
+                    };
+
+                /*
+                 *  Native pointer event listeners
+                 */
+                if ( window.PointerEvent ) {
+
+                    self.addListener( elem, 'pointerdown', start );
+                    self.addListener( elem, 'pointermove', move );
+                    self.addListener( elem, 'pointerup', end );
+                    self.addListener( elem, 'pointercancel', end );
+                }
+
+                /*
+                 *  Native touch and mouse event listeners
+                 */
+                else {
+
+                    self.addListener( elem, 'touchstart', function( e ) {
+
+                        lastTouch = new Date().getTime();
+
+                        start( e );
+                    });
+
+                    self.addListener( elem, 'touchmove', move );
+                    self.addListener( elem, 'touchend', end );
+                    self.addListener( elem, 'touchcancel', end );
+
+                    self.addListener( elem, 'mousedown', function( e ) {
 
-                addEvent( elem, 'touchend', function( e ) {
+                        // Skip mouse events emulated after a touch
+                        if ( lastTouch && new Date().getTime() - lastTouch < 1000 ) return;
 
-                    toggleClass( elem, noTrans, false );
-                    emitEvents( e );
+                        start( e );
+                    });
+
+                    // Mouse events go to the document so dragging continues outside the track
+                    self.addListener( document, 'mousemove', move );
+                    self.addListener( document, 'mouseup', end );
+                }
+
+                // Stop native drag and drop of images and links inside tiles
+                self.addListener( elem, 'dragstart', function( e ) {
+
+                    if ( e.preventDefault ) e.preventDefault();
                 });
 
+                // Cancel the click that follows a drag
+                self.addListener( elem, 'click', function( e ) {
+
+                    if ( !suppressClick ) return;
+
+                    suppressClick = false;
+
+                    e.preventDefault();
+                    e.stopPropagation();
+
+                }, true );
+
                 /*
                  *  Custom event listeners
                  */
-                addEvent( elem, self.ns + '.dragmove', function( e ) {
+                self.addListener( elem, self.ns + '.dragmove', function( e ) {
 
-                    if ( Math.abs( touchData.deltaY ) > Math.abs( touchData.deltaX ) ) return;
+                    if ( !dragging || Math.abs( touchData.crossDelta ) > Math.abs( touchData.delta ) ) return;
 
-                    if ( !dragThreshold( touchData.deltaX ) ) return;
+                    if ( !dragThreshold( touchData.delta ) ) return;
 
-                    var currentPosition = state.index
-                        , maxPosition = state.curTileLength - options.tilesPerFrame
-                        , forward = touchData.deltaX < 0
-                        , deltaX = Math.abs( touchData.deltaX )
-                        , nextIndex = forward ? currentPosition + 1 : currentPosition - 1
-                        , peekMod = forward ? options.tilesPerFrame - 1 : 0
-                        , peekIndex = nextIndex + peekMod
-                        , translateAmt = tilePercent * currentPosition
-                        , transformStr = 'translateX(calc(-' + translateAmt + '% + ' + touchData.deltaX + 'px))'
-                        // , calcPercent = currentPosition * -100
-                        // peeking
-                        // , calcOffset = currentPosition > 0 ? currentPosition * 30 : 0
-                        // , calcPosition = calcOffset + touchData.deltaX
-                        // , positionStr = 'calc(' + calcPercent + '% + ' + calcPosition + 'px)'
-                        // end peeking
-                        // , positionStr = 'calc(' + calcPercent + '% + ' + touchData.deltaX + 'px)'
-                        // , isFirst = currentPosition === 0 && touchData.deltaX > 0
-                        // , isLast = currentPosition === maxPosition && touchData.deltaX < 0
+                    var transformStr
+                        , follow = self.cache( 'reducedMotion' ) ? options.reducedDragFollow : 1
+                        , currentPosition = state.index
+                        , maxPosition = self.getMaxIndex()
+                        , forward = rtl ? touchData.delta > 0 : touchData.delta < 0
+                        , isFirst = currentPosition === 0 && !forward
+                        , isLast = currentPosition >= maxPosition && forward
+                        // Resist dragging past the first and last tiles
+                        , delta = ( isFirst || isLast ? overscroll( touchData.delta ) : touchData.delta ) * follow
                         ;
 
-                    // if ( isFirst || isLast ) return;
+                    transformStr = self.getTransform( currentPosition, delta );
 
                     elem.style.transform = transformStr;
                     elem.style[ transformAttr ] = transformStr;
 
-                    if ( deltaX >= ( tileWidth / 2 ) ) {
-
-                        toggleClass( state.tileArr[ peekIndex ], inactiveClass, false );
-                        toggleClass( state.tileArr[ peekIndex ], activeClass, true );
-                    }
+                    // Show the tiles the drag brings into view
+                    self.updatePeek( currentPosition, delta );
                 });
 
-                addEvent( elem, self.ns + '.dragend', function( e ) {
+                self.addListener( elem, self.ns + '.dragend', function( e ) {
 
-                    if ( !dragThreshold( touchData.deltaX ) ) return;
+                    if ( !dragging || !dragThreshold( touchData.delta ) ) return;
 
                     self.x.publish( self.ns + '/move' );
 
-                    var newSlide = Math.abs( touchData.deltaX ) >= tileWidth
-                        , currentPosition = state.index
-                        , maxPosition = state.curTileLength - options.tilesPerFrame
-                        // , isFirst = currentPosition === 0 && touchData.deltaX > 0
-                        // , isLast = currentPosition === maxPosition && touchData.deltaX < 0
-                        , forward = touchData.deltaX < 0
+                    var currentPosition = state.index
+                        , maxPosition = self.getMaxIndex()
+                        , forward = rtl ? touchData.delta > 0 : touchData.delta < 0
                         , nextIndex = forward ? currentPosition + 1 : currentPosition - 1
+                        , velocity = Math.abs( touchData.velocity )
+                        , isFlick = velocity >= options.flickVelocity && ( touchData.velocity < 0 ) === ( touchData.delta < 0 )
+                        , distance = Math.abs( touchData.delta ) + ( isFlick ? velocity * options.flickMomentum : 0 )
+                        , steps = touchData.cancelled ? 0
+                                    : isFlick ? Math.max( 1, Math.round( distance / tileWidth ) )
+                                    : Math.floor( distance / tileWidth )
+                        , newIndex = getSwipeIndex( forward, steps )
                         ;
 
-                    // if ( isFirst || isLast ) return;
+                    // Nowhere to go past the first and last tiles, so spring back
+                    if ( Math.max( 0, Math.min( newIndex, maxPosition ) ) === currentPosition ) steps = 0;
 
-                    // Navigation threshold met, navigate carousel
-                    if ( newSlide ) {
+                    // A fling moves several tiles, clamped to the ends of the track by syncState
+                    if ( steps && newIndex !== getSwipeIndex( forward, 1 ) ) {
+
+                        self.navigate( newIndex );
+                    }
 
-                        console.log(tileWidth, Math.abs( touchData.deltaX ));
+                    // Navigation threshold met, navigate carousel
+                    else if ( steps ) {
 
                         var thisMethod = forward ? self.nextFrame : self.prevFrame;
 
@@ -649,342 +1486,1918 @@ define(
                     // Threshold not met, reset carousel to previous position
                     else {
 
-                        toggleClass( elem, noTrans, false );
+                        springBack();
+                    }
+                });
 
-                        elem.style.transform = transCache;
-                        elem.style[ transformAttr ] = transCache;
+                // A guard vetoed the move, so spring back if the track was dragged away from the current tile
+                self.x.subscribe( self.ns + '/navigate/vetoed', function() {
 
-                        transCache = '';
-                    }
+                    transCache = self.getTransform( state.index );
+
+                    if ( elem.style.transform !== transCache ) springBack();
+                });
+
+                self.x.subscribe( self.ns + '/destroy/before', function() {
+
+                    clearTimeout( springTimer );
                 });
             },
 
             /**
-             * Overrides internal method with provided function
+             * Attaches an event listener and keeps track of it so it can be removed by destroy
              *
-             * @method override
-             * @param {String} name Name of internal method to override
-             * @param {Function} func Function to replace internal method
-             * @return {Function} Replaced internal method
+             * @method addListener
+             * @param {Object} obj Element which will have listener attached to it
+             * @param {String} evt Name of event to listen for
+             * @param {Function} fn Event listener
+             * @param {Boolean} capture Listen for events during capture phase, rather than bubbling phase (optional)
              * @public
              */
-            override: function( name, func ) {
+            addListener: function( obj, evt, fn, capture ) {
 
-                if ( !this[ name ] ) { return; }
+                addEvent( obj, evt, fn, capture );
 
-                var origMethod = this[ name ].bind( this );
+                this.listeners.push( [ obj, evt, fn, capture ] );
+            },
 
-                this[ name ] = func;
+            /**
+             * Removes an event listener attached with addListener, and stops tracking it
+             *
+             * @method removeListener
+             * @param {Object} obj Element the listener is attached to
+             * @param {String} evt Name of event
+             * @param {Function} fn Event listener
+             * @public
+             */
+            removeListener: function( obj, evt, fn ) {
 
-                return origMethod; //return overidden method so that it can still be called if necessary
+                var listener;
+
+                for ( var i = this.listeners.length - 1; i >= 0; i-- ) {
+
+                    listener = this.listeners[ i ];
+
+                    if ( listener[ 0 ] !== obj || listener[ 1 ] !== evt || listener[ 2 ] !== fn ) continue;
+
+                    this.listeners.splice( i, 1 );
+
+                    if ( listener[ 3 ] && obj.removeEventListener ) {
+
+                        obj.removeEventListener( evt, fn, true );
+                    }
+
+                    else {
+
+                        removeEvent( obj, evt, fn );
+                    }
+                }
             },
 
             /**
-             * Event listener for focus/blur events on each tile: adds class name to focused tile (attached in init)
+             * Removes all event listeners attached with addListener
              *
-             * @method focusHandler
-             * @param {Event} e Event object returned after focus/blur event is fired
+             * @method removeListeners
              * @public
              */
-            focusHandler: function( e ) {
+            removeListeners: function() {
 
-                var cls = ' state-focus' // TODO Replace string
-                    , target = e.target || e.srcElement // IE uses srcElement
-                    ;
+                var listener;
 
-                // Using 'className' to support IE8
-                if ( e.type === 'focus' ) target.className = target.className + cls;
-                else target.className = target.className.replace( cls, '' );
+                while ( this.listeners.length ) {
+
+                    listener = this.listeners[ this.listeners.length - 1 ];
+
+                    this.removeListener( listener[ 0 ], listener[ 1 ], listener[ 2 ] );
+                }
             },
 
             /**
-             * Sets/reads cached variables so that they are available to all methods and plugins
+             * Tears down the carousel: removes listeners and generated markup, lets plugins clean up, and puts the original list back where it was
              *
-             * @method cache
-             * @param {String} key Name of variable to be cached
-             * @param {Any} value Value of variable to be cached (optional)
-             * @return {Object} {Any} Value of requested variable (read) or entire cache object (set)
+             * @method destroy
+             * @return {Object} Original list element
              * @public
              */
-            cache: function( key, value ) {
+            destroy: function() {
 
-                this.x.publish( this.ns + '/cache/before', key, value );
-
-                var cache = this.cacheObj
-                    , query = cache[ key ] !== 'undefined' ? cache[ key ] : undefined
+                var tile
+                    , parentNode
+                    , nextSibling
+                    , self = this
+                    , carousel = self.carousel
+                    , origDom = self.cache( 'origDom' )
+                    , wrapper = self.wrapper
                     ;
 
-                if ( typeof value === 'undefined' ) {
-                    return query;
+                if ( self.destroyed ) return carousel;
+
+                self.destroyed = true;
+
+                parentNode = origDom.parentNode;
+                nextSibling = origDom.nextSibling;
+
+                // Plugins remove their own listeners, timers and markup
+                self.x.publish( self.ns + '/destroy/before' );
+
+                self.cancelNavigation( 'destroyed' );
+
+                self.removeListeners();
+
+                self.unwatchViewport();
+
+                if ( self.motionQuery ) {
+
+                    if ( self.motionQuery.removeEventListener ) self.motionQuery.removeEventListener( 'change', self.motionHandler );
+                    else if ( self.motionQuery.removeListener ) self.motionQuery.removeListener( self.motionHandler );
                 }
 
-                cache[ key ] = value;
+                // Restore original tile attributes (classes, tabindex, inline styles)
+                for ( var i = 0; i < origDom.tiles.length; i++ ) {
 
-                this.x.publish( this.ns + '/cache/after', key, value );
+                    tile = origDom.tiles[ i ];
+
+                    setTabbable( tile.element, true );
+                    setAttributes( tile.element, tile.attributes );
+                }
+
+                setAttributes( carousel, origDom.attributes );
+
+                // Put the list back in its original position
+                if ( !nextSibling || nextSibling.parentNode !== parentNode ) {
+
+                    nextSibling = wrapper.parentNode === parentNode ? wrapper : null;
+                }
+
+                parentNode.insertBefore( carousel, nextSibling );
+
+                if ( wrapper.parentNode ) {
+
+                    wrapper.parentNode.removeChild( wrapper );
+                }
+
+                self.x.publish( self.ns + '/destroy/after' );
+
+                // Remove all remaining subscribers and event handlers
+                self.x.unsubscribeAll();
+                self.events = {};
+
+                self.cacheObj = {};
+
+                return carousel;
+            },
+
+            /**
+             * Works out whether motion should be reduced, from the `motion` option and the user's `prefers-reduced-motion` setting, and lets plugins know when that changes (called in init, and when either changes)
+             *
+             * @method updateMotion
+             * @public
+             */
+            updateMotion: function() {
+
+                var motion = this.options.motion
+                    , wasReduced = this.cache( 'reducedMotion' )
+                    , reduced = motion === 'reduce' || ( motion === 'auto' && !!this.motionQuery && this.motionQuery.matches )
+                    ;
+
+                if ( reduced === wasReduced ) return;
+
+                this.x.publish( this.ns + '/updateMotion/before', reduced );
+
+                this.cache( 'reducedMotion', reduced );
+
+                toggleClass( this.wrapper, reducedMotionClass, reduced );
+
+                this.x.publish( this.ns + '/updateMotion/after', reduced );
+
+                // Not an event on init, the carousel simply starts out that way
+                if ( typeof wasReduced === 'boolean' ) this.emit( 'motionchange', { reducedMotion: reduced } );
+            },
+
+            /**
+             * Starts tracking a navigation with a promise (called from navigate), rejecting the one still in progress
+             *
+             * @method startNavigation
+             * @public
+             */
+            startNavigation: function() {
+
+                var navigation = {};
+
+                if ( typeof Promise !== 'function' ) return;
+
+                this.cancelNavigation( 'interrupted' );
+
+                navigation.promise = new Promise( function( resolve, reject ) {
+
+                    navigation.resolve = resolve;
+                    navigation.reject = reject;
+                });
+
+                // Navigation from buttons, keys and plugins ignores the promise, so a rejection isn't an error on its own
+                navigation.promise[ 'catch' ]( function() {} );
+
+                this.navigation = navigation;
+            },
+
+            /**
+             * Resolves the navigation in progress with a snapshot of the state, once the carousel is in position
+             *
+             * @method endNavigation
+             * @public
+             */
+            endNavigation: function() {
+
+                var navigation = this.navigation;
+
+                if ( !navigation ) return;
+
+                this.navigation = null;
+
+                navigation.resolve( this.getSnapshot() );
+            },
+
+            /**
+             * Rejects the navigation in progress
+             *
+             * @method cancelNavigation
+             * @param {String} reason Why the navigation didn't finish, i.e. `interrupted`, set as `reason` on the error
+             * @public
+             */
+            cancelNavigation: function( reason ) {
+
+                var navigation = this.navigation;
+
+                if ( !navigation ) return;
+
+                this.navigation = null;
+
+                navigation.reject( navigationError( this.ns, reason ) );
+            },
+
+            /**
+             * Returns a rejected promise for navigation that can't start, i.e. once the carousel is destroyed
+             *
+             * @method rejectNavigation
+             * @param {String} reason Why the navigation didn't start, set as `reason` on the error
+             * @return {Promise} Rejected promise (carousel element if Promise isn't supported)
+             * @public
+             */
+            rejectNavigation: function( reason ) {
+
+                if ( typeof Promise !== 'function' ) return this.carousel;
+
+                return Promise.reject( navigationError( this.ns, reason ) );
+            },
+
+            /**
+             * Returns the promise of the navigation in progress, or a resolved promise if there is none
+             *
+             * @method getNavigation
+             * @return {Promise} Resolves with a snapshot of the state once the carousel is in position (carousel element if Promise isn't supported)
+             * @public
+             */
+            getNavigation: function() {
+
+                if ( typeof Promise !== 'function' ) return this.carousel;
+
+                return this.navigation ? this.navigation.promise : Promise.resolve( this.getSnapshot() );
+            },
+
+            /**
+             * Returns a copy of the navigation state, which later navigations don't change
+             *
+             * @method getSnapshot
+             * @return {Object} Object with `index`, `prevIndex`, `frameIndex`, `prevFrameIndex`, `curTile`, `curFrame`, `curTileLength` and `curFrameLength`
+             * @public
+             */
+            getSnapshot: function() {
+
+                var state = this.state;
+
+                return {
+                    index: state.index,
+                    prevIndex: state.prevIndex,
+                    frameIndex: state.frameIndex,
+                    prevFrameIndex: state.prevFrameIndex,
+                    curTile: state.curTile,
+                    curFrame: Array.prototype.slice.call( state.curFrame ),
+                    curTileLength: state.curTileLength,
+                    curFrameLength: state.curFrameLength
+                };
+            },
+
+            /**
+             * Translates internal pub/sub channels into public events (called in setup)
+             *
+             * @method bindEvents
+             * @public
+             */
+            bindEvents: function() {
+
+                var self = this
+                    , ns = self.ns
+                    , channels = {
+                        'init/after': 'ready',
+                        'reinit/after': 'reinit',
+                        'updateTiles/after': 'tilesupdate',
+                        'destroy/before': 'destroy'
+                    }
+                    ;
+
+                var relay = function( channel, name ) {
+
+                    self.x.subscribe( channel, function() {
+
+                        self.emit( name );
+                    });
+                };
+
+                for ( var channel in channels ) {
+
+                    if ( channels.hasOwnProperty( channel ) ) relay( ns + '/' + channel, channels[ channel ] );
+                }
+
+                relay( 'animate/transition/before', 'transitionstart' );
+                self.x.subscribe( 'animate/transition/after', function() {
+
+                    self.emit( 'transitionend' );
+                    self.endNavigation();
+                });
+                relay( 'pagination/updatePagination/after', 'paginationupdate' );
+
+                self.x.subscribe( ns + '/syncState/before', function( index, targetIndex ) {
+
+                    self.direction = targetIndex < index ? 'prev' : 'next';
+
+                    self.emit( 'beforechange', { targetIndex: targetIndex } );
+                });
+
+                self.x.subscribe( ns + '/syncState/after', function() {
+
+                    self.emit( 'change', {
+                        prevIndex: self.state.prevIndex,
+                        prevFrameIndex: self.state.prevFrameIndex
+                    });
+                });
+            },
+
+            /**
+             * Adds an event handler
+             *
+             * @method on
+             * @param {String} name Event name, i.e. `change`
+             * @param {Function} fn Handler, called with an event object in the context of the carousel
+             * @return {Object} Carousel instance
+             * @chainable
+             * @public
+             */
+            on: function( name, fn ) {
+
+                if ( typeof fn !== 'function' ) return this;
+
+                ( this.events[ name ] = this.events[ name ] || [] ).push({ fn: fn, once: false });
+
+                return this;
+            },
+
+            /**
+             * Adds an event handler that is removed after it runs once
+             *
+             * @method once
+             * @param {String} name Event name, i.e. `change`
+             * @param {Function} fn Handler, called with an event object in the context of the carousel
+             * @return {Object} Carousel instance
+             * @chainable
+             * @public
+             */
+            once: function( name, fn ) {
+
+                if ( typeof fn !== 'function' ) return this;
+
+                ( this.events[ name ] = this.events[ name ] || [] ).push({ fn: fn, once: true });
+
+                return this;
+            },
+
+            /**
+             * Removes an event handler, or all handlers of an event if no handler is passed
+             *
+             * @method off
+             * @param {String} name Event name, i.e. `change`
+             * @param {Function} fn Handler to remove (optional)
+             * @return {Object} Carousel instance
+             * @chainable
+             * @public
+             */
+            off: function( name, fn ) {
+
+                var handlers = this.events[ name ];
+
+                if ( !handlers ) return this;
+
+                if ( !fn ) {
+
+                    delete this.events[ name ];
+
+                    return this;
+                }
+
+                for ( var i = handlers.length - 1; i >= 0; i-- ) {
+
+                    if ( handlers[ i ].fn === fn ) handlers.splice( i, 1 );
+                }
+
+                return this;
+            },
+
+            /**
+             * Runs the handlers of an event and dispatches it as a bubbling DOM CustomEvent on the wrapper
+             *
+             * @method emit
+             * @param {String} name Event name, i.e. `change`
+             * @param {Object} data Additional event properties (optional)
+             * @return {Object} Event object passed to handlers
+             * @public
+             */
+            emit: function( name, data ) {
+
+                var pos
+                    , state = this.state || {}
+                    , registered = this.events[ name ] || []
+                    , handlers = registered.slice()
+                    , evt = {
+                        type: name,
+                        index: state.index,
+                        frameIndex: state.frameIndex,
+                        direction: this.direction || null,
+                        carousel: this
+                    }
+                    ;
+
+                if ( this.silent ) return evt;
+
+                this.x.extend( evt, data );
+
+                for ( var i = 0; i < handlers.length; i++ ) {
+
+                    // Remove only this entry, as the same handler may also have been added with on
+                    if ( handlers[ i ].once ) {
+
+                        pos = registered.indexOf( handlers[ i ] );
+
+                        if ( pos !== -1 ) registered.splice( pos, 1 );
+                    }
+
+                    handlers[ i ].fn.call( this, evt );
+                }
+
+                if ( this.wrapper && typeof CustomEvent === 'function' ) {
+
+                    this.wrapper.dispatchEvent( new CustomEvent( this.ns + '.' + name, { bubbles: true, detail: evt } ) );
+                }
+
+                return evt;
+            },
+
+            /**
+             * Lets plugin options (i.e. `pagination`) through option validation, checking that they are `true`, `false` or an options object
+             *
+             * @method isPluginOption
+             * @param {String} key Option name
+             * @param {Any} value Option value
+             * @param {Function} warn Reports a validation message
+             * @return {Boolean} Whether the option belongs to a loaded plugin
+             * @public
+             */
+            isPluginOption: function( key, value, warn ) {
+
+                if ( !this.hasPlugin( key ) ) return false;
+
+                if ( typeof value !== 'boolean' && getObjType( value ) !== '[object Object]' ) {
+
+                    warn( 'option "' + key + '" must be true, false or an options object for the ' + key + ' plugin (got ' + formatValue( value ) + ').' );
+                }
+
+                return true;
+            },
+
+            /**
+             * Overrides internal method with provided function
+             *
+             * @method override
+             * @param {String} name Name of internal method to override
+             * @param {Function} func Function to replace internal method
+             * @return {Function} Replaced internal method
+             * @public
+             */
+            override: function( name, func ) {
+
+                if ( !this[ name ] ) { return; }
+
+                var origMethod = this[ name ].bind( this );
+
+                this[ name ] = func;
+
+                return origMethod; //return overidden method so that it can still be called if necessary
+            },
+
+            /**
+             * Event listener for focus/blur events on each tile: adds class name to focused tile (attached in init)
+             *
+             * @method focusHandler
+             * @param {Event} e Event object returned after focus/blur event is fired
+             * @public
+             */
+            focusHandler: function( e ) {
+
+                var index
+                    , cls = ' state-focus' // TODO Replace string
+                    , target = e.target || e.srcElement // IE uses srcElement
+                    , state = this.state
+                    ;
+
+                // Using 'className' to support IE8
+                if ( e.type === 'focus' ) target.className = target.className + cls;
+                else target.className = target.className.replace( cls, '' );
+
+                // Bring a hidden tile into view when it receives focus (i.e. from a screen reader)
+                if ( e.type === 'focus' && target.className.indexOf( inactiveClass ) !== -1 ) {
+
+                    index = Array.prototype.indexOf.call( state.tileArr, target );
+
+                    if ( index === -1 ) return;
+
+                    if ( this.options.incrementMode === 'frame' ) {
+
+                        index = this.options.variableWidth ? this.getFrameStart( this.getFrameIndex( index ) )
+                            : index - ( index % this.getFrameStep() );
+                    }
+
+                    this.navigate( index );
+                }
+            },
+
+            /**
+             * Event listener for clicks on tiles (attached in init). In center mode, a click on a neighbour of the centered tile brings it to the center instead of following a link in it.
+             *
+             * @method handleTileClick
+             * @param {Event} e Event object returned after click event is fired
+             * @public
+             */
+            handleTileClick: function( e ) {
+
+                var index
+                    , state = this.state
+                    , tile = e.target || e.srcElement // IE uses srcElement
+                    ;
+
+                if ( !this.cache( 'center' ) ) return;
+
+                while ( tile && tile.parentNode !== this.carousel ) tile = tile.parentNode;
+
+                index = tile ? Array.prototype.indexOf.call( state.tileArr, tile ) : -1;
+
+                if ( index === -1 || index === state.index ) return;
+
+                // Try both for IE8 support
+                if ( 'preventDefault' in e ) e.preventDefault();
+                if ( 'returnValue' in e ) e.returnValue = false;
+
+                this.navigate( index );
+            },
+
+            /**
+             * Event listener for keydown events anywhere in the carousel (attached in init). Arrow keys move by tile/frame, PageUp/PageDown by frame, and Home/End go to the first/last frame. Focus then moves to the first visible tile, once the carousel is in position.
+             *
+             * @method handleKeyboard
+             * @param {Event} e Event object returned after keydown event is fired
+             * @public
+             */
+            handleKeyboard: function( e ) {
+
+                var action
+                    , promise
+                    , self = this
+                    , state = self.state
+                    , target = e.target || e.srcElement // IE uses srcElement
+                    , key = e.key || e.keyCode
+                    , vertical = self.options.orientation === 'vertical'
+                    , rtl = self.cache( 'rtl' )
+                    , prevKeys = vertical ? [ 'ArrowUp', 'Up', 38 ] : rtl ? [ 'ArrowRight', 'Right', 39 ] : [ 'ArrowLeft', 'Left', 37 ]
+                    , nextKeys = vertical ? [ 'ArrowDown', 'Down', 40 ] : rtl ? [ 'ArrowLeft', 'Left', 37 ] : [ 'ArrowRight', 'Right', 39 ]
+                    ;
+
+                if ( e.altKey || e.ctrlKey || e.metaKey ) return;
+
+                // Leave keys alone while typing in a form field inside a tile
+                if ( rFormField.test( target.nodeName ) || target.isContentEditable ) return;
+
+                action = prevKeys.indexOf( key ) !== -1 ? 'prev'
+                    : nextKeys.indexOf( key ) !== -1 ? 'next'
+                    : key === 'PageUp' || key === 33 ? 'prevPage'
+                    : key === 'PageDown' || key === 34 ? 'nextPage'
+                    : key === 'Home' || key === 36 ? 'first'
+                    : key === 'End' || key === 35 ? 'last'
+                    : false
+                    ;
+
+                if ( !action ) return;
+
+                // Try both for IE8 support
+                if ( 'preventDefault' in e ) e.preventDefault();
+                if ( 'returnValue' in e ) e.returnValue = false;
+
+                if ( action === 'prev' ) promise = self.prevFrame();
+                else if ( action === 'next' ) promise = self.nextFrame();
+                else if ( action === 'prevPage' ) promise = self.navigate( self.getPrevFrameStart( state.index ) );
+                else if ( action === 'nextPage' ) promise = self.navigate( state.index + self.getFrameSize( state.index ) );
+                else if ( action === 'first' ) promise = self.firstFrame();
+                else promise = self.lastFrame();
+
+                // Hidden tiles can't take focus (and focusHandler would navigate to them again), so wait for the move to end
+                if ( promise && typeof promise.then === 'function' ) promise.then( self.focusFrame.bind( self ), function() {} );
+                else self.focusFrame();
+            },
+
+            /**
+             * Moves focus to the first visible tile without scrolling the viewport
+             *
+             * @method focusFrame
+             * @public
+             */
+            focusFrame: function() {
+
+                var tile = this.state.tileArr[ this.state.index ];
+
+                if ( !tile ) return;
+
+                try {
+                    tile.focus( { preventScroll: true } );
+                }
+                catch ( err ) {
+                    tile.focus();
+                }
+
+                // Browsers without preventScroll scroll the viewport to show the focused tile
+                this.viewport.scrollLeft = 0;
+                this.viewport.scrollTop = 0;
+            },
+
+            /**
+             * Sets/reads cached variables so that they are available to all methods and plugins
+             *
+             * @method cache
+             * @param {String} key Name of variable to be cached
+             * @param {Any} value Value of variable to be cached (optional)
+             * @return {Object} {Any} Value of requested variable (read) or entire cache object (set)
+             * @public
+             */
+            cache: function( key, value ) {
+
+                this.x.publish( this.ns + '/cache/before', key, value );
+
+                var cache = this.cacheObj
+                    , query = cache[ key ] !== 'undefined' ? cache[ key ] : undefined
+                    ;
+
+                if ( typeof value === 'undefined' ) {
+                    return query;
+                }
+
+                cache[ key ] = value;
+
+                this.x.publish( this.ns + '/cache/after', key, value );
+
+                return cache;
+            },
+
+            /**
+             * Re-initializes all carousel functionality
+             *
+             * @method reinit
+             * @public
+             */
+            reinit: function() {
+
+                var anchorTile = this.getAnchorTile();
+
+                this.x.publish( this.ns + '/reinit/before' );
+
+                // Plugins may have rearranged the tiles (i.e. loop removed its clones), so find the anchor tile again
+                this.state.index = this.getAnchorIndex( anchorTile );
+
+                this.buildFrames();
+
+                this.rebuildNavigation();
+
+                this.x.publish( this.ns + '/reinit/after' );
+            },
+
+            /**
+             * Returns the visible tile to keep in view when the carousel is rebuilt (see the `anchor` option)
+             *
+             * @method getAnchorTile
+             * @return {Object} HTML element, or null if there are no tiles
+             * @public
+             */
+            getAnchorTile: function() {
+
+                var state = this.state
+                    , curFrame = state.curFrame || []
+                    , anchor = this.options.variableWidth ? 'first' : this.options.anchor
+                    ;
+
+                // The centered tile stays centered
+                if ( this.cache( 'center' ) ) return state.tileArr[ state.index ] || null;
+
+                if ( anchor === 'center' && curFrame.length ) return curFrame[ Math.floor( ( curFrame.length - 1 ) / 2 ) ];
+
+                if ( anchor === 'last' && curFrame.length ) return curFrame[ curFrame.length - 1 ];
+
+                return state.tileArr[ state.index ] || null;
+            },
+
+            /**
+             * Returns the index that puts the anchor tile back in view, where it was among the visible tiles. Loop clones stand for the tile they were cloned from.
+             *
+             * @method getAnchorIndex
+             * @param {Object} tile Tile returned by getAnchorTile
+             * @return {Number} Index of left-most visible tile (aligned to a frame and kept in range by buildFrames)
+             * @public
+             */
+            getAnchorIndex: function( tile ) {
+
+                var options = this.options
+                    , state = this.state
+                    , index = tile ? Array.prototype.indexOf.call( state.tileArr, tile ) : -1
+                    ;
+
+                if ( index === -1 && tile && tile.hasAttribute( numberAttr ) ) {
+
+                    index = parseInt( tile.getAttribute( numberAttr ), 10 ) - 1;
+                }
+
+                // Removed, so stay where the carousel was
+                if ( index === -1 || isNaN( index ) || index >= state.tileArr.length ) return state.index;
+
+                // Frames are aligned in buildFrames, so the frame with the anchor tile is used
+                if ( options.incrementMode === 'tile' && !options.variableWidth && !options.center ) {
+
+                    if ( options.anchor === 'center' ) index -= Math.floor( ( this.getFrameStep() - 1 ) / 2 );
+                    else if ( options.anchor === 'last' ) index -= this.getFrameStep() - 1;
+                }
+
+                return index > 0 ? index : 0;
+            },
+
+            /**
+             * Prepares a tile added after init: saves its original attributes, adds tile classes and focus listeners
+             *
+             * @method initTile
+             * @param {Object} tile HTML element
+             * @public
+             */
+            initTile: function( tile ) {
+
+                this.cache( 'origDom' ).tiles.push({
+                    element: tile,
+                    attributes: getAttributes( tile )
+                });
+
+                toggleClass( tile, this.options.tileClass, true );
+                toggleClass( tile, inactiveClass, true );
+                tile.setAttribute( tabindex, '-1' );
+
+                this.addListener( tile, 'focus', this.focusHandler );
+                this.addListener( tile, 'blur', this.focusHandler );
+            },
+
+            /**
+             * Restores the original attributes of a tile that is being removed from the carousel
+             *
+             * @method teardownTile
+             * @param {Object} tile HTML element
+             * @public
+             */
+            teardownTile: function( tile ) {
+
+                var origTiles = this.cache( 'origDom' ).tiles;
+
+                setTabbable( tile, true );
+
+                for ( var i = 0; i < origTiles.length; i++ ) {
+
+                    if ( origTiles[ i ].element !== tile ) continue;
+
+                    setAttributes( tile, origTiles[ i ].attributes );
+                    origTiles.splice( i, 1 );
+
+                    break;
+                }
+
+                this.removeListener( tile, 'focus', this.focusHandler );
+                this.removeListener( tile, 'blur', this.focusHandler );
+            },
+
+            /**
+             * Inserts a tile into the carousel
+             *
+             * @method addTile
+             * @param {Object} el HTML element to add (usually an `li`)
+             * @param {Number} atIndex Position to insert the tile at (optional, defaults to the end)
+             * @return {Object} Added tile
+             * @public
+             */
+            addTile: function( el, atIndex ) {
+
+                this.x.publish( this.ns + '/updateTiles/before' );
+
+                var state = this.state
+                    , tileArr = this.carousel.children
+                    , length = tileArr.length
+                    ;
+
+                atIndex = parseInt( atIndex, 10 );
+                atIndex = isNaN( atIndex ) || atIndex > length ? length
+                    : atIndex < 0 ? 0
+                    : atIndex
+                    ;
+
+                this.carousel.insertBefore( el, tileArr[ atIndex ] || null );
+
+                this.initTile( el );
+
+                // Keep the current tile in view when inserting before it
+                if ( length && atIndex <= state.index ) state.index += 1;
+
+                this.updateTiles();
+
+                return el;
+            },
+
+            /**
+             * Removes a tile from the carousel
+             *
+             * @method removeTile
+             * @param {Number|Object} indexOrEl Index of the tile or the tile element
+             * @return {Object} Removed tile, or false if not found
+             * @public
+             */
+            removeTile: function( indexOrEl ) {
+
+                var el
+                    , index
+                    , state = this.state
+                    , origTiles = this.cache( 'origDom' ).tiles
+                    , tileArr = Array.prototype.filter.call( this.carousel.children, function( tile ) {
+
+                        // Leave out loop clones, so the index counts the carousel's own tiles
+                        return origTiles.some( function( origTile ) {
+
+                            return origTile.element === tile;
+                        });
+                    })
+                    ;
+
+                index = typeof indexOrEl === 'object' ? tileArr.indexOf( indexOrEl ) : parseInt( indexOrEl, 10 );
+                el = tileArr[ index ];
+
+                if ( !el ) return false;
+
+                // Plugins put the current index back in the same space as the tiles (i.e. loop removes its clones)
+                this.x.publish( this.ns + '/updateTiles/before' );
+
+                this.teardownTile( el );
+                this.carousel.removeChild( el );
+
+                // Keep the current tile in view when removing one before it
+                if ( index < state.index ) state.index -= 1;
+
+                this.updateTiles();
+
+                return el;
+            },
+
+            /**
+             * Replaces all tiles in the carousel and goes back to the first tile
+             *
+             * @method replaceTiles
+             * @param {Array} list Array, NodeList or HTMLCollection of tiles
+             * @return {Object} Carousel object
+             * @public
+             */
+            replaceTiles: function( list ) {
+
+                this.x.publish( this.ns + '/updateTiles/before' );
+
+                var tile
+                    , carousel = this.carousel
+                    , tiles = Array.prototype.slice.call( list )
+                    ;
+
+                while ( carousel.children.length ) {
+
+                    tile = carousel.children[ 0 ];
+
+                    this.teardownTile( tile );
+                    carousel.removeChild( tile );
+                }
+
+                for ( var i = 0; i < tiles.length; i++ ) {
+
+                    carousel.appendChild( tiles[ i ] );
+                    this.initTile( tiles[ i ] );
+                }
+
+                this.state.index = 0;
+
+                this.updateTiles();
+
+                return carousel;
+            },
+
+            /**
+             * Resynchronizes state, dimensions and navigation after tiles have been added or removed
+             *
+             * @method updateTiles
+             * @public
+             */
+            updateTiles: function() {
+
+                var maxIndex
+                    , state = this.state
+                    , options = this.options
+                    , tileArr = this.carousel.children
+                    , frameStep = this.getFrameStep()
+                    ;
+
+                state.tileArr = tileArr;
+                state.origTileLength = tileArr.length;
+                state.curTileLength = tileArr.length;
+
+                // Stay on the frame that contains the current tile
+                if ( options.incrementMode === 'frame' ) {
+
+                    state.index = Math.floor( state.index / frameStep ) * frameStep;
+                }
+
+                maxIndex = this.getMaxIndex();
+
+                state.index = state.index > maxIndex ? maxIndex : state.index;
+                state.index = state.index < 0 ? 0 : state.index;
+
+                this.labelTiles();
+
+                this.reinit();
+
+                this.updateNavigation();
+
+                this.x.publish( this.ns + '/updateTiles/after' );
+            },
+
+            /**
+             * Updates properties in configuration options object, and runs reinit if necessary. Plugin options (i.e. `pagination`) replace the plugin's options as a whole, and are passed on to the plugin through the `updateOptions/after` channel before the carousel is rebuilt.
+             *
+             * @method updateOptions
+             * @param {Object} optsObj Object containing options properties to update
+             * @return {Object} Updated options object
+             * @public
+             */
+            updateOptions: function( optsObj ) {
+
+                var rebuild = false;
+
+                if ( getObjType( optsObj ) !== '[object Object]' ) return false;
+
+                optsObj = validateOptions( optsObj, schema, null, this.ns, this.isPluginOption.bind( this ) );
+
+                for ( var i = 0; i < rebuildOptions.length; i++ ) {
+
+                    if ( rebuildOptions[ i ] in optsObj && optsObj[ rebuildOptions[ i ] ] !== this.options[ rebuildOptions[ i ] ] ) rebuild = true;
+                }
+
+                this.x.extend( this.options, optsObj );
+
+                if ( 'motion' in optsObj ) this.updateMotion();
+
+                this.x.publish( this.ns + '/updateOptions/after', optsObj, rebuild );
+
+                if ( rebuild ) {
+
+                    this.reinit();
+                }
+
+                return this.options;
+            },
+
+            /**
+             * Updates properties in state object
+             *
+             * @method updateState
+             * @param {Object} stateObj Object containing state properties to update
+             * @return {Object} Updated state object
+             * @public
+             */
+            updateState: function( stateObj ) {
+
+                if ( getObjType( stateObj ) !== '[object Object]' ) return false;
+
+                this.x.extend( this.state, stateObj );
+
+                return this.state;
+            },
+
+            /**
+             * Populates state object, including width calculations based on tilesPerFrame
+             *
+             * @method buildFrames
+             * @public
+             */
+            buildFrames: function() {
+
+                this.x.publish( this.ns + '/buildFrames/before' );
+
+                var tiles
+                    , thisFrame
+                    , frameStart
+                    , frameEnd
+                    , frameLength
+                    , maxIndex
+                    , self              = this
+                    , state             = self.state
+                    , tileArr           = state.tileArr
+                    , options           = self.options
+                    , frameStep         = self.getFrameStep()
+                    , origWrapperClass  = self.cache( 'origWrapperClass' )
+                    ;
+
+                self.toggleAria( state.tileArr, 'add' ); //hide all tiles
+
+                self.wrapper.setAttribute( 'class', origWrapperClass + ' ' + options.wrapperClass );
+
+                // Motion may have changed since the original classes were saved
+                toggleClass( self.wrapper, reducedMotionClass, !!self.cache( 'reducedMotion' ) );
+
+                // Variable width tiles have to be measured before frames can be determined
+                if ( options.variableWidth ) {
+
+                    self.measureTiles();
+                }
+
+                //call calculate - updates state (publish)
+                //dom styler - applies calculations (subscribed)
+                self.calcDimensions( options.tilesPerFrame );
+
+                self.watchViewport();
+
+                state.frameArr = [];
+
+                // A frame is the whole tiles in view, and the last one starts at the last index
+                maxIndex = self.getMaxIndex();
+                frameLength = options.variableWidth ? self.cache( 'frameStarts' ).length : Math.ceil( maxIndex / frameStep ) + 1;
+
+                for ( var sec = 0; sec < frameLength; sec++ ) {
+
+                    frameEnd = sec + 1 < frameLength ? self.getFrameStart( sec + 1 ) : tileArr.length;
+
+                    // This is crashing IE8 due to tileArr being a host object (HTMLCollection) instead of a JavaScript object
+                    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice#Streamlining_cross-browser_behavior
+                    // Every way I try to get around it, including the MDN shim, still causes IE8 to crash
+                    tiles = Array.prototype.slice.call( tileArr, self.getFrameStart( sec ), frameEnd );
+
+                    state.frameArr.push( tiles );
+                }
+
+                state.curTileLength     = tileArr.length;
+                state.curFrameLength    = state.frameArr.length;
+
+                // Make sure the index is still in range (i.e. after tiles were removed)
+                state.index = state.index > maxIndex ? maxIndex : state.index;
+
+                // Start the frame that contains the tile (i.e. after tilesPerFrame changed), unless the carousel is at the end or the tile is centered
+                if ( options.incrementMode === 'frame' && state.index < maxIndex && !self.cache( 'center' ) ) {
+
+                    frameStart = self.getFrameStart( options.variableWidth ? self.getFrameIndex( state.index ) : Math.floor( state.index / frameStep ) );
+                    state.index = frameStart < maxIndex ? frameStart : maxIndex;
+                }
+
+                state.curTile           = state.tileArr[ state.index ] || false;
+                state.frameIndex        = self.getFrameIndex( state.index );
+                state.prevFrameIndex    = state.frameIndex;
+                state.curFrame          = state.frameArr[ state.frameIndex ] || [];
+
+                self.measure();
+
+                // Cache measurement vars
+                self.cache( 'tileDelta', options.variableWidth || self.cache( 'center' ) ? 0 : self.getFrameStart( state.curFrameLength - 1 ) - maxIndex );
+
+                // Determine current frame based on increment mode
+                if ( options.incrementMode === 'frame' && !self.cache( 'center' ) ) { //frame increment
+
+                    thisFrame = state.curFrame;
+                }
+
+                else { //tile increment, or the tiles around the centered one
+
+                    thisFrame = self.getFrame( state.index );
+                }
+
+                state.curFrame = thisFrame;
+
+                // Update position of carousel based on index
+                self.updatePosition( state.index );
+
+                self.toggleAria( thisFrame, 'remove' ); //makes tiles in current frame visible
+
+                self.x.publish( self.ns + '/buildFrames/after' );
+            },
+
+            /**
+             * Applies the tile dimensions and caches the measured tile and track sizes (called from buildFrames, and by plugins when the carousel was resized)
+             *
+             * @method measure
+             * @public
+             */
+            measure: function() {
+
+                var state = this.state;
+
+                this.x.publish( this.ns + '/measure/before' );
+
+                this.updateDimensions();
+
+                this.cache( 'tileWidth', state.curTile ? outerWidth( state.curTile ) : 0 );
+                this.cache( 'tileHeight', state.curTile ? outerHeight( state.curTile ) : 0 );
+                this.cache( 'tileSize', this.cache( this.options.orientation === 'vertical' ? 'tileHeight' : 'tileWidth' ) );
+                this.cache( 'trackWidth', this.cache( 'tileWidth' ) * state.curTileLength );
+
+                this.x.publish( this.ns + '/measure/after' );
+            },
+
+            /**
+             * Updates the carousel for a new size of its container. Sizes are measured again, and variable width carousels (and carousels with a `peek` or `gap`) are rebuilt, since their frames depend on the tile sizes.
+             *
+             * @method resize
+             * @public
+             */
+            resize: function() {
+
+                if ( this.options.variableWidth || this.cache( 'pixelLayout' ) ) this.reinit();
+                else this.measure();
+            },
+
+            /**
+             * Watches the viewport for changes in width while tiles are sized in pixels (`peek` or `gap`), using a ResizeObserver or window `resize` events where that isn't supported. Stops watching otherwise. Called whenever dimensions are calculated.
+             *
+             * @method watchViewport
+             * @public
+             */
+            watchViewport: function() {
+
+                var self = this;
+
+                if ( !self.cache( 'pixelLayout' ) ) {
+
+                    self.unwatchViewport();
+
+                    return;
+                }
+
+                if ( self.watchingViewport ) return;
+
+                self.watchingViewport = true;
+
+                if ( typeof ResizeObserver === 'function' ) {
+
+                    self.observer = new ResizeObserver( self.resizeHandler );
+                    self.observer.observe( self.viewport );
+
+                    return;
+                }
+
+                self.throttledResizeHandler = function() {
+
+                    clearTimeout( self.resizeTimer );
+
+                    self.resizeTimer = setTimeout( self.resizeHandler, 200 ); //throttle listener
+                };
+
+                addEvent( window, 'resize', self.throttledResizeHandler );
+            },
+
+            /**
+             * Stops watching the viewport for changes in width
+             *
+             * @method unwatchViewport
+             * @public
+             */
+            unwatchViewport: function() {
+
+                if ( !this.watchingViewport ) return;
+
+                this.watchingViewport = false;
+
+                clearTimeout( this.resizeTimer );
+
+                if ( this.observer ) this.observer.disconnect();
+
+                if ( this.throttledResizeHandler ) removeEvent( window, 'resize', this.throttledResizeHandler );
+
+                this.observer = this.throttledResizeHandler = null;
+            },
+
+            /**
+             * Listener for changes in viewport size, rebuilding the carousel when its width has changed since tiles were sized
+             *
+             * @method handleResize
+             * @public
+             */
+            handleResize: function() {
+
+                // Also called for changes in height, and once when watching starts
+                if ( this.viewport.offsetWidth === this.cache( 'viewportSize' ) ) return;
+
+                this.resize();
+            },
+
+            /**
+             * Measures each tile along the carousel axis (variable width mode), caching tile offsets and the start index of each frame
+             *
+             * @method measureTiles
+             * @public
+             */
+            measureTiles: function() {
+
+                var size
+                    , frameOffset = 0
+                    , trackSize = 0
+                    , sizes = []
+                    , offsets = []
+                    , frameStarts = [ 0 ]
+                    , maxIndex = 0
+                    , vertical = this.options.orientation === 'vertical'
+                    , tileArr = this.state.tileArr
+                    , viewportSize = vertical ? this.viewport.offsetHeight : this.viewport.offsetWidth
+                    ;
+
+                for ( var i = 0; i < tileArr.length; i++ ) {
+
+                    size = outerSize( tileArr[ i ], vertical );
+
+                    // A frame is however many tiles fit in the viewport
+                    if ( i > 0 && trackSize + size - frameOffset > viewportSize ) {
+
+                        frameOffset = trackSize;
+                        frameStarts.push( i );
+                    }
+
+                    sizes.push( size );
+                    offsets.push( trackSize );
+
+                    trackSize += size;
+                }
+
+                // Last index that still fills the viewport
+                while ( maxIndex < tileArr.length - 1 && trackSize - offsets[ maxIndex ] > viewportSize ) {
+
+                    maxIndex++;
+                }
+
+                this.cache( 'tileSizes', sizes );
+                this.cache( 'tileOffsets', offsets );
+                this.cache( 'trackSize', trackSize );
+                this.cache( 'viewportSize', viewportSize );
+                this.cache( 'frameStarts', frameStarts );
+                this.cache( 'maxIndex', maxIndex );
+            },
+
+            /**
+             * Returns the number of tiles visible in a frame starting at the given index
+             *
+             * @method getFrameSize
+             * @param {Number} index Index of left-most visible tile
+             * @return {Number} Number of visible tiles
+             * @public
+             */
+            getFrameSize: function( index ) {
+
+                var sizes
+                    , viewportSize
+                    , total = 0
+                    , count = 0
+                    , frameStep = this.getFrameStep()
+                    , tileLength = this.state.tileArr.length
+                    ;
+
+                if ( !this.options.variableWidth ) {
+
+                    return index + frameStep > tileLength ? tileLength - index : frameStep;
+                }
+
+                sizes = this.cache( 'tileSizes' );
+                viewportSize = this.cache( 'viewportSize' );
+
+                while ( index + count < tileLength && ( count === 0 || total + sizes[ index + count ] <= viewportSize ) ) {
+
+                    total += sizes[ index + count ];
+                    count++;
+                }
+
+                return count;
+            },
+
+            /**
+             * Returns the tiles in full view at the given index: the frame starting there, or the centered tile and as many of its neighbours on each side as fit in center mode
+             *
+             * @method getFrame
+             * @param {Number} index Index of left-most visible tile (or the centered tile)
+             * @return {Array} Tiles
+             * @public
+             */
+            getFrame: function( index ) {
+
+                var half = Math.floor( ( this.options.tilesPerFrame - 1 ) / 2 )
+                    , tileArr = this.state.tileArr
+                    ;
+
+                if ( this.cache( 'center' ) ) return Array.prototype.slice.call( tileArr, Math.max( 0, index - half ), index + half + 1 );
+
+                return Array.prototype.slice.call( tileArr, index, index + this.getFrameSize( index ) );
+            },
+
+            /**
+             * Returns the number of whole tiles in a frame, which is how far a frame moves (i.e. 2 for 2.5 tiles per frame)
+             *
+             * @method getFrameStep
+             * @return {Number} Number of tiles
+             * @public
+             */
+            getFrameStep: function() {
+
+                return Math.max( 1, Math.floor( this.options.tilesPerFrame ) );
+            },
+
+            /**
+             * Returns the highest index the carousel can navigate to without leaving empty space at the end
+             *
+             * @method getMaxIndex
+             * @return {Number} Last valid index
+             * @public
+             */
+            getMaxIndex: function() {
+
+                var maxIndex
+                    , tileLength = this.state.tileArr.length
+                    ;
+
+                if ( this.options.variableWidth ) maxIndex = this.cache( 'maxIndex' );
+
+                // Every tile can be centered
+                else if ( this.cache( 'center' ) ) maxIndex = tileLength - 1;
+
+                // First index that puts the end of the track at the end of the viewport
+                else if ( this.cache( 'pixelLayout' ) ) {
+
+                    maxIndex = Math.min( tileLength - 1, Math.ceil( ( this.cache( 'trackSize' ) - this.cache( 'viewportSize' ) + this.cache( 'leadSize' ) ) / this.cache( 'tileStep' ) - 0.001 ) );
+                }
+
+                // Part of the last tile is in view from the index before it
+                else maxIndex = Math.ceil( tileLength - this.options.tilesPerFrame );
+
+                return maxIndex > 0 ? maxIndex : 0;
+            },
+
+            /**
+             * Returns the index of the first tile in a frame
+             *
+             * @method getFrameStart
+             * @param {Number} frame Frame index
+             * @return {Number} Tile index
+             * @public
+             */
+            getFrameStart: function( frame ) {
+
+                var frameStarts;
+
+                if ( !this.options.variableWidth ) return frame * this.getFrameStep();
+
+                frameStarts = this.cache( 'frameStarts' );
+
+                return frameStarts[ frame ] !== undefined ? frameStarts[ frame ] : frameStarts[ frameStarts.length - 1 ];
+            },
+
+            /**
+             * Returns the index of the frame that contains the given tile index
+             *
+             * @method getFrameIndex
+             * @param {Number} index Tile index
+             * @return {Number} Frame index
+             * @public
+             */
+            getFrameIndex: function( index ) {
+
+                var frameStarts
+                    , frame = 0
+                    ;
+
+                if ( !this.options.variableWidth ) return Math.ceil( index / this.getFrameStep() );
+
+                frameStarts = this.cache( 'frameStarts' );
+
+                // The last index always shows the last frame
+                if ( index >= this.getMaxIndex() ) return frameStarts.length - 1;
+
+                while ( frame + 1 < frameStarts.length && frameStarts[ frame + 1 ] <= index ) {
+
+                    frame++;
+                }
+
+                return frame;
+            },
+
+            /**
+             * Returns the index a frame back from the given index, so that the previous tiles fill the viewport
+             *
+             * @method getPrevFrameStart
+             * @param {Number} index Index of left-most visible tile
+             * @return {Number} Tile index
+             * @public
+             */
+            getPrevFrameStart: function( index ) {
+
+                var sizes
+                    , viewportSize
+                    , total = 0
+                    , prevIndex = index
+                    ;
+
+                if ( !this.options.variableWidth ) return index - this.getFrameStep();
+
+                sizes = this.cache( 'tileSizes' );
+                viewportSize = this.cache( 'viewportSize' );
+
+                while ( prevIndex > 0 && ( prevIndex === index || total + sizes[ prevIndex - 1 ] <= viewportSize ) ) {
+
+                    total += sizes[ prevIndex - 1 ];
+                    prevIndex--;
+                }
+
+                return prevIndex;
+            },
+
+            /**
+             * Synchronize state object after a state change, i.e. carousel going to previous/next tile/frame
+             *
+             * @method syncState
+             * @param {Number} index New index of left-most visible tile
+             * @return {Object} Updated state object
+             * @public
+             */
+            syncState: function( index ) {
+
+                this.x.publish( this.ns + '/syncState/before', this.state.index, index );
+
+                var self                = this
+                    , state             = self.state
+                    , options           = self.options
+                    , prevFrameIndex    = state.frameIndex
+                    , maxIndex          = self.getMaxIndex()
+                    , newIndex          = index > maxIndex ? maxIndex
+                                            : index < 0 ? 0
+                                            : index
+                    , frameIndex        = self.getFrameIndex( newIndex )
+                    , isLastFrame       = newIndex === maxIndex
+                    , tileDelta         = self.cache( 'tileDelta' )
+                    , updateObj = {
+                        index: newIndex,
+                        prevIndex: state.index,
+                        curTile: isLastFrame && tileDelta && options.incrementMode === 'frame'
+                                    ? state.tileArr[ newIndex + tileDelta ]
+                                    : state.tileArr[ newIndex ],
+                        curFrame: self.getFrame( newIndex ),
+                        frameIndex: frameIndex,
+                        prevFrameIndex: prevFrameIndex
+                    };
+
+                // Update state object
+                self.updateState( updateObj );
+
+                self.updateActive();
+
+                self.x.publish( self.ns + '/syncState/after', newIndex );
+
+                self.announce();
+
+                return state;
+            },
+
+            /**
+             * Goes to indicated tile without an animation
+             *
+             * @method updatePosition
+             * @param {Number} index New index of left-most visible tile
+             * @public
+             */
+            updatePosition: function( index ) {
+
+                this.x.publish( this.ns + '/updatePosition/before' );
+
+                var self = this
+                    , carousel = self.element
+                    , state = self.state
+                    , transformStr = self.getTransform( index )
+                    , supportsTransitions = self.cache( 'supportsTransitions' )
+                    , transitionData = self.cache( 'transitionData' )
+                    , vendorPrefix = ( transitionData && typeof transitionData.prefix !== 'undefined' ) ? transitionData.prefix : ''
+                    , transformAttr = vendorPrefix + 'transform'
+                    , transitionAttr = vendorPrefix + 'transition'
+                    ;
+
+                if ( supportsTransitions ) {
+
+                    // Prevent animation of re-position
+                    carousel.style.transition = '';
+                    carousel.style[ transitionAttr ] = '';
+
+                    carousel.style.transform = transformStr;
+                    carousel.style[ transformAttr ] = transformStr;
+                }
+
+                // IE9
+                else if ( 'msTransform' in carousel.style ) {
+
+                    carousel.style.msTransform = transformStr;
+                }
+
+                self.toggleAria( state.tileArr, 'add' );
+                self.toggleAria( state.curFrame, 'remove' );
+
+                self.updatePeek();
+
+                // Plugins may have moved the state on since syncState, i.e. loop going from a clone to the original tile
+                self.updateActive();
+
+                self.x.publish( self.ns + '/updatePosition/after' );
+            },
+
+            /**
+             * Builds the CSS transform value that moves the track to the given tile along the carousel axis
+             *
+             * @method getTransform
+             * @param {Number} index Index of left-most (or top-most) visible tile, may be fractional
+             * @param {Number} delta Additional pixel offset, i.e. while dragging (optional)
+             * @return {String} CSS transform value
+             * @public
+             */
+            getTransform: function( index, delta ) {
+
+                var offsets
+                    , maxOffset
+                    , position
+                    , axis = this.options.orientation === 'vertical' ? 'Y' : 'X'
+                    , sign = this.cache( 'rtl' ) ? 1 : -1
+                    , offset
+                    ;
+
+                // Variable width tiles are positioned by the sum of the widths before the index
+                if ( this.options.variableWidth ) {
+
+                    offsets = this.cache( 'tileOffsets' );
+                    maxOffset = Math.max( 0, this.cache( 'trackSize' ) - this.cache( 'viewportSize' ) );
+                    index = Math.max( 0, Math.min( index, offsets.length - 1 ) );
+                    position = Math.floor( index );
+
+                    // Interpolate fractional indexes (used by stepped animations)
+                    offset = offsets.length ? offsets[ position ] + ( index - position ) * ( ( offsets[ position + 1 ] || offsets[ position ] ) - offsets[ position ] ) : 0;
+                    offset = sign * Math.min( offset, maxOffset ) + ( delta || 0 );
+
+                    return 'translate' + axis + '(' + offset + 'px)';
+                }
+
+                // Tiles with a peek or gap are laid out in pixels
+                if ( this.cache( 'pixelLayout' ) ) {
+
+                    offset = sign * this.getOffset( index ) + ( delta || 0 );
+
+                    return 'translate' + axis + '(' + offset + 'px)';
+                }
+
+                offset = sign * this.cache( 'tilePercent' ) * this.getTrackPosition( index );
+
+                if ( delta ) {
+
+                    return 'translate' + axis + '(calc(' + offset + '% + ' + delta + 'px))';
+                }
+
+                return 'translate' + axis + '(' + offset + '%)';
+            },
+
+            /**
+             * Returns the distance in pixels the track moves to show the given tile when tiles have a peek or gap. The tile is placed after the peek (or in the middle in center mode), except at the ends of the track.
+             *
+             * @method getOffset
+             * @param {Number} index Index of left-most visible tile (or the centered tile), may be fractional
+             * @return {Number} Offset in pixels
+             * @public
+             */
+            getOffset: function( index ) {
+
+                var maxOffset = Math.max( 0, this.cache( 'trackSize' ) - this.cache( 'viewportSize' ) )
+                    , offset = ( index * this.cache( 'tileStep' ) ) - this.cache( 'leadSize' )
+                    ;
+
+                // Centered tiles leave space before the first tile and after the last
+                if ( this.cache( 'center' ) ) return offset;
+
+                return Math.max( 0, Math.min( offset, maxOffset ) );
+            },
+
+            /**
+             * Returns the tile at the start of the viewport for the given index when tiles are sized in percent (the reverse of getOffset in tiles). Part of a tile per frame (i.e. 2.5 tiles per frame) stops at the end of the track, and centered tiles are moved back by half a frame.
+             *
+             * @method getTrackPosition
+             * @param {Number} index Index of left-most visible tile (or the centered tile), may be fractional
+             * @return {Number} Position in tiles, may be fractional
+             * @public
+             */
+            getTrackPosition: function( index ) {
+
+                if ( this.cache( 'center' ) ) return index - this.cache( 'leadTiles' );
 
-                return cache;
+                return Math.max( 0, Math.min( index, this.state.tileArr.length - this.options.tilesPerFrame ) );
             },
 
             /**
-             * Re-initializes all carousel functionality
+             * Marks the current tile as the active one in center mode, which is the tile in the middle of the viewport
              *
-             * @method reinit
+             * @method updateActive
              * @public
              */
-            reinit: function() {
+            updateActive: function() {
 
-                this.x.publish( this.ns + '/reinit/before' );
+                var tileArr = this.state.tileArr
+                    , active = this.cache( 'center' ) ? tileArr[ this.state.index ] : null
+                    ;
 
-                this.buildFrames();
+                for ( var i = 0; i < tileArr.length; i++ ) {
 
-                this.rebuildNavigation();
+                    toggleClass( tileArr[ i ], activeTileClass, tileArr[ i ] === active );
 
-                this.x.publish( this.ns + '/reinit/after' );
+                    if ( tileArr[ i ] === active ) tileArr[ i ].setAttribute( 'aria-current', 'true' );
+                    else tileArr[ i ].removeAttribute( 'aria-current' );
+                }
             },
 
             /**
-             * Updates properties in configuration options object, and runs reinit if necessary
+             * Marks the tiles outside the current frame that show in the viewport (the rest of a fractional frame, a peek, or tiles brought in by a drag), so they are visible while still hidden from assistive technology
              *
-             * @method updateOptions
-             * @param {Object} optsObj Object containing options properties to update
-             * @return {Object} Updated options object
+             * @method updatePeek
+             * @param {Number} index Index of left-most visible tile (optional, defaults to the current index)
+             * @param {Number} delta Additional pixel offset, i.e. while dragging (optional)
              * @public
              */
-            updateOptions: function( optsObj ) {
+            updatePeek: function( index, delta ) {
 
-                var rebuild;
+                var start
+                    , end
+                    , inView
+                    , state = this.state
+                    , options = this.options
+                    , tileArr = state.tileArr
+                    , pixelLayout = this.cache( 'pixelLayout' )
+                    , step = pixelLayout ? this.cache( 'tileStep' ) : this.cache( 'tileSize' )
+                    , tileSpan = pixelLayout ? ( step - options.gap ) / step : 1
+                    , sign = this.cache( 'rtl' ) ? 1 : -1
+                    ;
 
-                if ( getObjType( optsObj ) !== '[object Object]' ) return false;
+                index = typeof index === 'number' ? index : state.index;
 
-                rebuild = ( typeof optsObj.tilesPerFrame === 'number' && optsObj.tilesPerFrame !== this.options.tilesPerFrame ) ? true : false;
+                // Viewport in tiles
+                if ( pixelLayout ) {
 
-                this.x.extend( this.options, optsObj );
+                    start = this.getOffset( index ) / step;
+                    end = start + ( this.cache( 'viewportSize' ) / step );
+                }
 
-                if ( rebuild ) {
+                else {
 
-                    this.reinit();
+                    start = this.getTrackPosition( index );
+                    end = start + options.tilesPerFrame;
                 }
 
-                return this.options;
-            },
+                if ( delta && step ) {
 
-            /**
-             * Updates properties in state object
-             *
-             * @method updateState
-             * @param {Object} stateObj Object containing state properties to update
-             * @return {Object} Updated state object
-             * @public
-             */
-            updateState: function( stateObj ) {
+                    start += sign * delta / step;
+                    end += sign * delta / step;
+                }
 
-                if ( getObjType( stateObj ) !== '[object Object]' ) return false;
+                for ( var i = 0; i < tileArr.length; i++ ) {
 
-                this.x.extend( this.state, stateObj );
+                    // Variable width frames already hold every tile that fits
+                    inView = !options.variableWidth && i + tileSpan > start + 0.01 && i < end - 0.01 &&
+                             Array.prototype.indexOf.call( state.curFrame, tileArr[ i ] ) === -1;
 
-                return this.state;
+                    toggleClass( tileArr[ i ], peekClass, inView );
+                }
             },
 
             /**
-             * Populates state object, including width calculations based on tilesPerFrame
+             * Mediator function responsible for processing passed index, checking navigation guards, syncing state object, and navigating to appropriate tile
              *
-             * @method buildFrames
+             * @method navigate
+             * @param {Number} index Index of left-most visible tile
+             * @param {Boolean} silent Skip guards, don't emit events or settle the pending navigation promise (optional, used by plugins to reposition)
+             * @param {Object} transition Transition options for this move, i.e. `{ duration: 300, easing: 'ease-out' }` (optional, used by the animate plugin)
+             * @return {Promise} Resolves with a snapshot of the state once the carousel is in position
              * @public
              */
-            buildFrames: function() {
-
-                this.x.publish( this.ns + '/buildFrames/before' );
+            navigate: function( index, silent, transition ) {
 
-                var tiles
-                    , thisFrame
-                    , frameStart
-                    , frameEnd
-                    , carEnd
-                    , self              = this
-                    , state             = self.state
-                    , tileArr           = state.tileArr
-                    , options           = self.options
-                    , tilesPerFrame     = options.tilesPerFrame
-                    , origWrapperClass  = self.cache( 'origWrapperClass' )
+                var promise
+                    , self = this
+                    , maxIndex
                     ;
 
-                self.toggleAria( state.tileArr, 'add' ); //hide all tiles
-
-                state.frameArr = [];
+                if ( self.destroyed ) return self.rejectNavigation( 'destroyed' );
 
-                for ( var sec = 0, len = tileArr.length / tilesPerFrame, count = 1;
-                        sec < len;
-                        sec++, count++ ) {
+                if ( silent ) return self.moveTo( index, true );
 
-                    // This is crashing IE8 due to tileArr being a host object (HTMLCollection) instead of a JavaScript object
-                    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice#Streamlining_cross-browser_behavior
-                    // Every way I try to get around it, including the MDN shim, still causes IE8 to crash
-                    tiles = Array.prototype.slice.call( tileArr, tilesPerFrame * sec, tilesPerFrame * count );
+                maxIndex = self.getMaxIndex();
 
-                    state.frameArr.push( tiles );
-                }
+                // Guards see the index the carousel would really go to
+                index = index > maxIndex ? maxIndex : index < 0 ? 0 : index;
 
-                state.curTile           = state.tileArr[ state.index ];
-                state.curTileLength     = tileArr.length;
-                state.curFrameLength    = Math.ceil( state.curTileLength / tilesPerFrame );
-                state.frameIndex        = Math.ceil( state.index / tilesPerFrame );
-                state.prevFrameIndex    = state.frameIndex;
-                state.curFrame          = state.frameArr[ state.frameIndex ];
+                self.navigationId = ( self.navigationId || 0 ) + 1;
 
-                self.wrapper.setAttribute( 'class', origWrapperClass + ' ' + options.wrapperClass );
+                self.startNavigation();
 
-                // Cache measurement vars
-                self.cache( 'tileDelta', ( options.tilesPerFrame * state.curFrameLength ) - state.curTileLength );
-                self.cache( 'tileWidth', outerWidth( state.curTile ) );
-                // self.cache( 'tileHeight', outerHeight( state.tileArr[ state.index ] ) );
-                self.cache( 'trackPercent', 100 * state.curTileLength );
-                self.cache( 'trackWidth', self.cache( 'tileWidth' ) * state.curTileLength );
-                // self.cache( 'frameWidth', options.tilesPerFrame * self.cache( 'tileWidth' ) );
+                promise = self.getNavigation();
 
-                //call calculate - updates state (publish)
-                //dom styler - applies calculations (subscribed)
-                self.calcDimensions( tilesPerFrame );
+                if ( !self.guards.length ) {
 
-                self.updateDimensions();
+                    self.moveTo( index, false, transition );
 
-                // Update position of carousel based on index
-                self.updatePosition( state.index );
+                    return promise;
+                }
 
-                // Determine current frame based on increment mode
-                if ( options.incrementMode === 'frame' ) { //frame increment
+                self.checkGuards( index, function( target ) {
 
-                    thisFrame = state.curFrame;
-                }
+                    if ( target === false ) self.vetoNavigation( index );
+                    else self.moveTo( target, false, transition );
+                });
 
-                else { //tile increment
+                return promise;
+            },
 
-                    thisFrame = [];
+            /**
+             * Syncs state and moves the carousel to the tile without an animation (overridden by the animate plugin)
+             *
+             * @method moveTo
+             * @param {Number} index Index of left-most visible tile
+             * @param {Boolean} silent Don't emit events or settle the pending navigation promise (optional)
+             * @param {Object} transition Transition options for this move, i.e. `{ duration: 300, easing: 'ease-out' }` (optional, used by the animate plugin)
+             * @return {Promise} Resolves with a snapshot of the state once the carousel is in position
+             * @public
+             */
+            moveTo: function( index, silent, transition ) {
 
-                    frameEnd = state.index + tilesPerFrame;
-                    carEnd = state.curTileLength;
+                var newState;
 
-                    if ( frameEnd > carEnd ) {
+                // Plugins reposition silently, i.e. loop jumping from a cloned frame to the original
+                this.silent = !!silent;
 
-                        frameStart = carEnd - tilesPerFrame;
-                        frameEnd = carEnd;
-                    }
+                newState = this.syncState( index );
 
-                    else {
+                this.emit( 'transitionstart' );
 
-                        frameStart = state.index;
-                    }
+                this.updatePosition( newState.index );
 
-                    for ( var i = frameStart; i < frameEnd; i++ ) {
+                this.emit( 'transitionend' );
 
-                        thisFrame.push( state.tileArr[ i ] );
-                    }
-                }
+                if ( !this.silent ) this.endNavigation();
 
-                self.toggleAria( thisFrame, 'remove' ); //makes tiles in current frame visible
+                this.silent = false;
 
-                self.x.publish( self.ns + '/buildFrames/after' );
+                return this.getNavigation();
             },
 
             /**
-             * Synchronize state object after a state change, i.e. carousel going to previous/next tile/frame
+             * Adds a navigation guard. Guards run in order before every navigation and get an object with `index`, `targetIndex`, `targetTile` and `direction`. A guard returns `false` to veto the move, a number to go to another index instead, or anything else to allow it. It can also return a promise resolving to one of these (a rejected promise vetoes the move).
              *
-             * @method syncState
-             * @param {Number} index New index of left-most visible tile
-             * @return {Object} Updated state object
+             * @method guard
+             * @param {Function} fn Guard, called in the context of the carousel
+             * @return {Object} Carousel instance
+             * @chainable
              * @public
              */
-            syncState: function( index ) {
+            guard: function( fn ) {
 
-                this.x.publish( this.ns + '/syncState/before', this.state.index, index );
+                if ( typeof fn === 'function' ) this.guards.push( fn );
 
-                var self                = this
-                    , state             = self.state
-                    , options           = self.options
-                    , tilesPerFrame     = options.tilesPerFrame
-                    , prevFrameIndex    = state.frameIndex
-                    , newIndex          = index > state.curTileLength - tilesPerFrame ? state.curTileLength - tilesPerFrame
-                                            : index < 0 ? 0
-                                            : index
-                    , frameIndex        = Math.ceil( newIndex / tilesPerFrame )
-                    , isLastFrame       = newIndex === state.curTileLength - tilesPerFrame
-                    , tileDelta         = self.cache( 'tileDelta' )
-                    , updateObj = {
-                        index: newIndex,
-                        prevIndex: state.index,
-                        curTile: isLastFrame && tileDelta && options.incrementMode === 'frame'
-                                    ? state.tileArr[ newIndex + tileDelta ]
-                                    : state.tileArr[ newIndex ],
-                        curFrame: Array.prototype.slice.call( state.tileArr, newIndex, tilesPerFrame + newIndex ),
-                        frameIndex: frameIndex,
-                        prevFrameIndex: prevFrameIndex
-                    };
+                return this;
+            },
 
-                // Update state object
-                self.updateState( updateObj );
+            /**
+             * Removes a navigation guard
+             *
+             * @method unguard
+             * @param {Function} fn Guard to remove
+             * @return {Object} Carousel instance
+             * @chainable
+             * @public
+             */
+            unguard: function( fn ) {
 
-                self.x.publish( self.ns + '/syncState/after', newIndex );
+                for ( var i = this.guards.length - 1; i >= 0; i-- ) {
 
-                return state;
+                    if ( this.guards[ i ] === fn ) this.guards.splice( i, 1 );
+                }
+
+                return this;
             },
 
             /**
-             * Goes to indicated tile without an animation
+             * Runs the navigation guards one after another, waiting for any that return a promise
              *
-             * @method updatePosition
-             * @param {Number} index New index of left-most visible tile
+             * @method checkGuards
+             * @param {Number} index Requested index
+             * @param {Function} callback Called with the index to go to, or false if the move was vetoed. Not called if another navigation started in the meantime.
              * @public
              */
-            updatePosition: function( index ) {
-
-                this.x.publish( this.ns + '/updatePosition/before' );
+            checkGuards: function( index, callback ) {
 
                 var self = this
-                    , carousel = self.element
                     , state = self.state
-                    , tilePercent = self.cache( 'tilePercent' )
-                    , translateAmt = tilePercent * index
-                    , transformStr = 'translateX(-' + translateAmt + '%)'
-                    , supportsTransitions = self.cache( 'supportsTransitions' )
-                    , transitionData = self.cache( 'transitionData' )
-                    , vendorPrefix = ( transitionData && typeof transitionData.prefix !== 'undefined' ) ? transitionData.prefix : ''
-                    , transformAttr = vendorPrefix + 'transform'
-                    , transitionAttr = vendorPrefix + 'transition'
+                    , guards = self.guards.slice()
+                    , navigationId = self.navigationId
+                    , i = 0
                     ;
 
-                if ( supportsTransitions ) {
+                var next = function( result ) {
 
-                    // Prevent animation of re-position
-                    carousel.style.transition = '';
-                    carousel.style[ transitionAttr ] = '';
+                    var guard;
 
-                    carousel.style.transform = transformStr;
-                    carousel.style[ transformAttr ] = transformStr;
-                }
+                    // Superseded by another navigation while waiting on a guard
+                    if ( navigationId !== self.navigationId ) return;
 
-                // IE9
-                else if ( 'msTransform' in carousel.style ) {
+                    if ( result === false ) return callback( false );
 
-                    carousel.style.msTransform = transformStr;
-                }
+                    if ( typeof result === 'number' && !isNaN( result ) ) index = result;
 
-                self.toggleAria( state.tileArr, 'add' );
-                self.toggleAria( state.curFrame, 'remove' );
+                    if ( i >= guards.length ) return callback( index );
 
-                self.x.publish( self.ns + '/updatePosition/after' );
+                    guard = guards[ i++ ];
+
+                    result = guard.call( self, {
+                        type: 'navigate',
+                        index: state.index,
+                        targetIndex: index,
+                        targetTile: state.tileArr[ index ] || null,
+                        direction: index < state.index ? 'prev' : 'next',
+                        carousel: self
+                    });
+
+                    if ( result && typeof result.then === 'function' ) {
+
+                        result.then( next, function() {
+
+                            next( false );
+                        });
+                    }
+
+                    else {
+
+                        next( result );
+                    }
+                };
+
+                next();
             },
 
             /**
-             * Mediator function responsible for processing passed index, syncing state object, and navigating to appropriate tile
+             * Puts tiles and controls back to the current position after a guard vetoed a move, lets the swipe handler spring the track back, and rejects the navigation promise
              *
-             * @method navigate
-             * @param {Number} index Index of left-most visible tile
+             * @method vetoNavigation
+             * @param {Number} index Index that was requested
              * @public
              */
-            navigate: function( index ) {
+            vetoNavigation: function( index ) {
 
-                var newState = this.syncState( index );
+                var state = this.state;
 
-                this.updatePosition( newState.index );
+                this.toggleAria( state.tileArr, 'add' );
+                this.toggleAria( state.curFrame, 'remove' );
+
+                this.updatePeek();
+
+                this.updateNavigation();
+
+                this.x.publish( this.ns + '/navigate/vetoed', index );
+
+                this.emit( 'veto', { targetIndex: index } );
+
+                this.cancelNavigation( 'vetoed' );
             },
 
             /**
@@ -996,20 +3409,53 @@ define(
              */
             calcDimensions: function( tilesPerFrame ) {
 
-                var state = this.state
-                    , numTiles = state.tileArr.length
+                var tileStep
+                    , options = this.options
+                    , numTiles = this.state.tileArr.length
                     , percentIncrement = 100 / tilesPerFrame
                     , trackPercent = percentIncrement * numTiles
                     , tilePercent = 100 / ((trackPercent / 100) * tilesPerFrame)
-                    , tileWidth = this.cache( 'tileWidth' )
-                    , trackWidth = this.cache( 'trackWidth' )
+                    , viewportSize = this.viewport.offsetWidth
+                    , pixelSizes = getPixelSizes( options, viewportSize )
+                    , leadTiles = this.getLeadTiles()
                     ;
 
                 this.cache( 'trackPercent', trackPercent );
                 this.cache( 'tilePercent', tilePercent );
+                this.cache( 'pixelLayout', !!pixelSizes );
+                this.cache( 'center', !!options.center && !options.variableWidth );
+                this.cache( 'leadTiles', leadTiles );
+
+                if ( !pixelSizes ) return;
+
+                // Peeking neighbours and gaps take their space out of the viewport, so tiles are sized in pixels
+                tileStep = pixelSizes.tileSize + options.gap;
 
-                // make pixel values?
-                trackWidth = tileWidth * numTiles;
+                this.cache( 'leadSize', this.cache( 'center' ) ? leadTiles * tileStep : pixelSizes.peek );
+                this.cache( 'tileStep', tileStep );
+                this.cache( 'trackSize', ( numTiles * tileStep ) - options.gap );
+                this.cache( 'viewportSize', viewportSize );
+            },
+
+            /**
+             * Returns how many tiles (fractional) are in view before the centered tile in center mode
+             *
+             * @method getLeadTiles
+             * @return {Number} Number of tiles, 0 when the center option is off
+             * @public
+             */
+            getLeadTiles: function() {
+
+                var options = this.options
+                    , viewportSize = this.viewport.offsetWidth
+                    , pixelSizes = getPixelSizes( options, viewportSize )
+                    ;
+
+                if ( !options.center || options.variableWidth ) return 0;
+
+                if ( !pixelSizes ) return ( options.tilesPerFrame - 1 ) / 2;
+
+                return ( viewportSize - pixelSizes.tileSize ) / 2 / ( pixelSizes.tileSize + options.gap );
             },
 
             /**
@@ -1026,13 +3472,42 @@ define(
                     , tileStyle = tilePercent + '%'
                     , trackPercent = this.cache( 'trackPercent' )
                     , trackStyle = trackPercent + '%'
+                    , gapStyle = ''
+                    , gapSide = this.cache( 'rtl' ) ? 'marginLeft' : 'marginRight'
                     ;
 
+                // Vertical tiles stay full width: the viewport is sized to fit a frame of tiles instead
+                if ( this.options.orientation === 'vertical' ) {
+
+                    if ( !this.options.variableWidth && state.curTile ) {
+
+                        this.viewport.style.height = ( outerHeight( state.curTile ) * this.options.tilesPerFrame ) + 'px';
+                    }
+
+                    return;
+                }
+
+                // Variable width tiles keep their own width
+                if ( this.options.variableWidth ) {
+
+                    trackStyle = tileStyle = '';
+                }
+
+                // Rounded up so the floated tiles never wrap
+                else if ( this.cache( 'pixelLayout' ) ) {
+
+                    trackStyle = Math.ceil( this.cache( 'tileStep' ) * tileArr.length ) + 'px';
+                    tileStyle = ( this.cache( 'tileStep' ) - this.options.gap ) + 'px';
+                    gapStyle = this.options.gap + 'px';
+                }
+
                 this.carousel.style.width = trackStyle;
 
                 for ( var i = 0; i< tileArr.length; i++ ) {
 
                     tileArr[ i ].style.width = tileStyle;
+                    tileArr[ i ].style.marginLeft = tileArr[ i ].style.marginRight = '';
+                    tileArr[ i ].style[ gapSide ] = gapStyle;
                 }
             },
 
@@ -1075,8 +3550,11 @@ define(
                 self.nextBtn.setAttribute( 'data-next', '' );
                 self.nextBtn.innerHTML = text;
 
+                self.prevBtn.setAttribute( 'aria-controls', self.viewport.id );
+                self.nextBtn.setAttribute( 'aria-controls', self.viewport.id );
+
                 // Disable buttons if there is only one frame
-                if ( state.curTileLength <= options.tilesPerFrame ) {
+                if ( self.getMaxIndex() === 0 ) {
 
                     self.prevBtn.disabled = true;
                     self.nextBtn.disabled = true;
@@ -1117,7 +3595,7 @@ define(
                 // Using addEvent method for IE8 support
                 if ( !hasNavInited ) {
 
-                    addEvent( self.wrapper, 'click', self.handleNavigation.bind( self ) );
+                    self.addListener( self.wrapper, 'click', self.handleNavigation.bind( self ) );
                 }
 
                 self.cache( 'hasNavInited', true );
@@ -1137,8 +3615,18 @@ define(
 
                     this.x.publish( this.ns + '/navigation/rebuild/before' );
 
+                    // Controls were inserted directly into the wrapper
+                    if ( this.controlsWrapper === this.wrapper ) {
+
+                        this.wrapper.removeChild( this.prevBtn );
+                        this.wrapper.removeChild( this.nextBtn );
+                    }
+
                     // Double parentNode necessary since controlsWrapper element is getting overwritten with controls element
-                    this.controlsWrapper.parentNode.parentNode.removeChild( this.controlsWrapper.parentNode );
+                    else {
+
+                        this.controlsWrapper.parentNode.parentNode.removeChild( this.controlsWrapper.parentNode );
+                    }
 
                     this.buildNavigation();
 
@@ -1159,7 +3647,7 @@ define(
                     , index = state.index
                     , options = self.options
                     , isFirst = index === 0
-                    , isLast = index + self.options.tilesPerFrame >= state.curTileLength
+                    , isLast = index >= self.getMaxIndex()
                     ;
 
                 if ( options.preventNavDisable ) return;
@@ -1198,46 +3686,50 @@ define(
              * Navigates carousel back one tile/frame
              *
              * @method prevFrame
-             * @return {Obj} Carousel object
-             * @chainable
+             * @param {Object} transition Transition options for this move, i.e. `{ duration: 300, easing: 'ease-out' }` (optional, used by the animate plugin)
+             * @return {Promise} Resolves with a snapshot of the state once the carousel is in position
              * @public
              */
-            prevFrame: function() {
+            prevFrame: function( transition ) {
+
+                if ( this.destroyed ) return this.rejectNavigation( 'destroyed' );
 
                 this.x.publish( this.ns + '/prevFrame/before' );
 
-                var modifier = this.options.incrementMode === 'tile' ? 1 : this.options.tilesPerFrame
-                    , index = this.state.index - modifier
+                var index = this.options.incrementMode === 'tile' ? this.state.index - 1
+                        : this.getPrevFrameStart( this.state.index )
                     ;
 
-                this.navigate( index );
+                var promise = this.navigate( index, false, transition );
 
                 this.x.publish( this.ns + '/prevFrame/after' );
 
-                return this.carousel;
+                return promise;
             },
 
             /**
              * Navigates carousel forward one tile/frame
              *
              * @method nextFrame
-             * @return {Obj} Carousel object
-             * @chainable
+             * @param {Object} transition Transition options for this move, i.e. `{ duration: 300, easing: 'ease-out' }` (optional, used by the animate plugin)
+             * @return {Promise} Resolves with a snapshot of the state once the carousel is in position
              * @public
              */
-            nextFrame: function() {
+            nextFrame: function( transition ) {
+
+                if ( this.destroyed ) return this.rejectNavigation( 'destroyed' );
 
                 this.x.publish( this.ns + '/nextFrame/before' );
 
-                var modifier = this.options.incrementMode === 'tile' ? 1 : this.options.tilesPerFrame
+                var modifier = this.options.incrementMode === 'tile' ? 1 : this.getFrameSize( this.state.index )
                     , index = this.state.index + modifier
                     ;
 
-                this.navigate( index );
+                var promise = this.navigate( index, false, transition );
 
                 this.x.publish( this.ns + '/nextFrame/after' );
 
-                return this.carousel;
+                return promise;
             },
 
             /**
@@ -1245,21 +3737,22 @@ define(
              *
              * @method jumpToFrame
              * @param {Number} frame Index of tile to navigate to
-             * @return {Obj} Carousel object
-             * @chainable
+             * @param {Object} transition Transition options for this move, i.e. `{ duration: 300, easing: 'ease-out' }` (optional, used by the animate plugin)
+             * @return {Promise} Resolves with a snapshot of the state once the carousel is in position
              * @public
              */
-            jumpToFrame: function( frame ) {
+            jumpToFrame: function( frame, transition ) {
 
                 var self = this
                     , state = self.state
                     , options = self.options
                     , frame = parseInt( frame, 10 )
-                    , tilesPerFrame = self.options.tilesPerFrame
                     , index = ( options.incrementMode === 'frame' ) ?
-                            frame * tilesPerFrame : frame
+                            self.getFrameStart( frame ) : frame
                     ;
 
+                if ( self.destroyed ) return self.rejectNavigation( 'destroyed' );
+
                 index = index < 0 ? 0 : index;
 
                 if (
@@ -1267,33 +3760,111 @@ define(
                     ( options.incrementMode === 'frame' && frame > state.curFrameLength )
                 ) {
 
-                    return self.carousel;
+                    // Nothing to do, so don't hand out the promise of another call's navigation
+                    return typeof Promise === 'function' ? Promise.resolve( self.getSnapshot() ) : self.carousel;
                 }
 
-                self.navigate( index );
+                return self.navigate( index, false, transition );
+            },
+
+            /**
+             * Navigates carousel to the first tile/frame
+             *
+             * @method firstFrame
+             * @param {Object} transition Transition options for this move, i.e. `{ duration: 300, easing: 'ease-out' }` (optional, used by the animate plugin)
+             * @return {Promise} Resolves with a snapshot of the state once the carousel is in position
+             * @public
+             */
+            firstFrame: function( transition ) {
+
+                return this.navigate( 0, false, transition );
+            },
+
+            /**
+             * Navigates carousel to the last tile/frame
+             *
+             * @method lastFrame
+             * @param {Object} transition Transition options for this move, i.e. `{ duration: 300, easing: 'ease-out' }` (optional, used by the animate plugin)
+             * @return {Promise} Resolves with a snapshot of the state once the carousel is in position
+             * @public
+             */
+            lastFrame: function( transition ) {
+
+                if ( this.destroyed ) return this.rejectNavigation( 'destroyed' );
 
-                return self.carousel;
+                return this.navigate( this.getMaxIndex(), false, transition );
             },
 
             /**
              * Resets carousel tiles to original position
              *
              * @method reset
-             * @return {Obj} Carousel object
-             * @chainable
+             * @param {Object} transition Transition options for this move, i.e. `{ duration: 300, easing: 'ease-out' }` (optional, used by the animate plugin)
+             * @return {Promise} Resolves with a snapshot of the state once the carousel is in position
              * @public
              */
-            reset: function() {
+            reset: function( transition ) {
 
                 var index = 0;
 
-                this.navigate( index );
+                return this.navigate( index, false, transition );
+            },
+
+            /**
+             * Marks up each tile as a slide of the carousel (role, role description and "N of M" label). Runs before the loop plugin clones tiles, so clones share the label of their original.
+             *
+             * @method labelTiles
+             * @public
+             */
+            labelTiles: function() {
+
+                var tile
+                    , options = this.options
+                    , tiles = this.carousel.children
+                    , total = tiles.length
+                    ;
+
+                for ( var i = 0; i < total; i++ ) {
+
+                    tile = tiles[ i ];
 
-                return this.carousel;
+                    tile.setAttribute( 'role', 'group' );
+                    tile.setAttribute( 'aria-roledescription', options.tileRoleDescription );
+                    tile.setAttribute( 'aria-label', options.tileLabel.replace( rNumber, i + 1 ).replace( rTotal, total ) );
+                    tile.setAttribute( numberAttr, i + 1 );
+                }
+
+                this.cache( 'tileTotal', total );
+            },
+
+            /**
+             * Updates the live region with the tiles now in view, i.e. "Slide 3 of 10"
+             *
+             * @method announce
+             * @public
+             */
+            announce: function() {
+
+                var text
+                    , options = this.options
+                    , curFrame = this.state.curFrame
+                    , first = curFrame[ 0 ]
+                    , last = curFrame[ curFrame.length - 1 ]
+                    , number = first ? first.getAttribute( numberAttr ) : null
+                    , lastNumber = last ? last.getAttribute( numberAttr ) : null
+                    ;
+
+                if ( !this.live || number === null ) return;
+
+                text = number === lastNumber ? options.liveText : options.liveRangeText;
+
+                this.live.textContent = text.replace( rNumber, number )
+                    .replace( rLast, lastNumber )
+                    .replace( rTotal, this.cache( 'tileTotal' ) );
             },
 
             /**
-             * Toggles ARIA classes on tiles
+             * Toggles ARIA classes and `aria-hidden` on tiles, and takes focusable content in hidden tiles out of the tab order
              *
              * @method toggleAria
              * @param {Array} itemArray Array of tiles to add/remove ARIA classes from
@@ -1333,6 +3904,10 @@ define(
                         item.setAttribute( tabindex, '-1' );
                     }
 
+                    item.setAttribute( 'aria-hidden', add ? 'true' : 'false' );
+
+                    setTabbable( item, !add );
+
                     classes = null;
                 }
 
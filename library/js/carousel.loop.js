@@ -8,13 +8,11 @@ define(
         
         'use strict';
         
-        var origTileDom;
         var defaults = {};
+        var schema = {};
         var dataAttr = 'data-crsl-tile';
-        var origTileIdPre = 'orig-tile-';
+        var cloneAttr = 'data-crsl-clone';
         var pluginNS = 'loop';
-        var pluginOn = false;
-        var pluginInited = false;
 
         /**
          * Constructor
@@ -22,7 +20,7 @@ define(
         function Loop( api, options ) {
     
             this.api = api;
-            this.options = this.api.extend( {}, defaults, options );
+            this.options = this.api.validate( options, schema, defaults, this.api.ns + '.' + pluginNS );
     
             this.setup();
         }
@@ -34,6 +32,8 @@ define(
                 var self = this;
                 
                 self.updatePosition = false;
+                self.pluginOn = false;
+                self.pluginInited = false;
                 
                 self.funcs = {
                     updatePagination: self.updatePagination.bind( self )
@@ -45,23 +45,25 @@ define(
                     function() {
                         
                         var pluginAttr = self.api.getOption( pluginNS );
-                        pluginOn = ( ( typeof pluginAttr === 'boolean' && pluginAttr === true ) || typeof pluginAttr === 'object' ) ? true : false;
+                        self.pluginOn = ( ( typeof pluginAttr === 'boolean' && pluginAttr === true ) || typeof pluginAttr === 'object' ) ? true : false;
 
                         // If plugin on, load local object and set up subscribers
-                        if ( pluginOn ) {
+                        if ( self.pluginOn ) {
                             
                             self.carousel = {
                                 index: 0,
                                 dom: self.api.getState( 'dom' ),
-                                tilesPerFrame: self.api.getOption( 'tilesPerFrame' ),
+                                tilesPerFrame: self.api.trigger( 'getFrameStep' ), // whole tiles, for fractional tilesPerFrame
                                 tileArr: self.api.getState( 'tileArr' ),
                                 incrementMode: self.api.getOption( 'incrementMode' ),
-                                loop: pluginOn
+                                loop: self.pluginOn
                             };
                             
-                            if ( !pluginInited ) {
+                            self.carousel.cloneCount = self.getCloneCount();
 
-                                origTileDom = self.carousel.tileArr;
+                            if ( !self.pluginInited ) {
+
+                                self.origTileDom = self.carousel.tileArr;
 
                                 self.api.subscribe(
                                     self.api.ns + '/syncState/after',
@@ -73,11 +75,26 @@ define(
                                     self.reposition.bind( self )
                                 );
 
+                                self.api.subscribe(
+                                    'animate/transition/interrupt',
+                                    self.interrupt.bind( self )
+                                );
+
                                 self.api.subscribe(
                                     self.api.ns + '/reinit/before',
                                     self.resetLoopDom.bind( self )
                                 );
 
+                                self.api.subscribe(
+                                    self.api.ns + '/updateTiles/before',
+                                    self.resetLoopDom.bind( self )
+                                );
+
+                                self.api.subscribe(
+                                    self.api.ns + '/destroy/before',
+                                    self.destroy.bind( self )
+                                );
+
                                 // Plugin subscribers
                                 self.api.subscribe(
                                     'pagination/buildPagination/before',
@@ -89,9 +106,13 @@ define(
                                     self.funcs.updatePagination
                                 );
 
+                                // First/last frames sit between the cloned frames
+                                self.api.override( 'firstFrame', self.firstFrame.bind( self ) );
+                                self.api.override( 'lastFrame', self.lastFrame.bind( self ) );
+
                                 self.api.trigger( 'updateOptions', { preventNavDisable:true } ); //prevent disabling of prev/next buttons
 
-                                pluginInited = true;
+                                self.pluginInited = true;
                             }
 
                             self.createLoopDom.call( self );
@@ -100,37 +121,86 @@ define(
                 );
             },
 
+            destroy: function() {
+
+                this.resetLoopDom();
+
+                this.pluginInited = false;
+            },
+
+            firstFrame: function( transition ) {
+
+                return this.api.trigger( 'navigate', this.carousel.cloneCount, false, transition );
+            },
+
+            lastFrame: function( transition ) {
+
+                var curTileLength = this.api.getState( 'curTileLength' );
+
+                // Last of the original tiles in center mode
+                if ( this.api.trigger( 'cache', 'center' ) ) {
+
+                    return this.api.trigger( 'navigate', this.carousel.cloneCount + this.api.getState( 'origTileLength' ) - 1, false, transition );
+                }
+
+                return this.api.trigger( 'navigate', curTileLength - ( this.carousel.tilesPerFrame * 2 ), false, transition );
+            },
+
             resetLoopDom: function() {
 
                 var carousel = this.carousel.dom.carousel;
                 var carChildren = carousel.children;
                 var tileArr = Array.prototype.slice.call( carChildren );
+                var index = this.api.getState( 'index' ) - this.carousel.cloneCount;
+                var origTileLength;
+
+                if ( !this.looped ) return;
 
                 for ( var i = 0; i <  tileArr.length; i++ ) {
 
                     // Remove all but original tiles
-                    if ( !tileArr[i].hasAttribute( 'id' ) || tileArr[i].getAttribute( 'id' ).indexOf( origTileIdPre ) === -1 ) {
+                    if ( tileArr[i].hasAttribute( cloneAttr ) ) {
 
                         carousel.removeChild( tileArr[i] );
                     }
                 }
+
+                origTileLength = carChildren.length;
+
+                // Convert index to the same tile without clones
+                index = origTileLength ? ( ( index % origTileLength ) + origTileLength ) % origTileLength : 0;
+
+                this.api.trigger( 'updateState', { index: index, tileArr: carChildren } );
+
+                this.looped = false;
             },
         
+            getCloneCount: function() {
+
+                var tilesPerFrame = this.carousel.tilesPerFrame;
+
+                if ( !this.api.getOption( 'center' ) ) return tilesPerFrame;
+
+                // Centered clones need tiles on both sides of them as well, in whole frames so frames line up with the original tiles
+                return tilesPerFrame * Math.ceil( ( tilesPerFrame + Math.ceil( this.api.trigger( 'getLeadTiles' ) ) ) / tilesPerFrame );
+            },
+
             createLoopDom: function() {
                     
                 var newLi, updateObj, dataIndex;
                 var clones = [];
-                var tileHTMLColl = origTileDom;
+                var tileHTMLColl = this.origTileDom;
                 var tileArr = Array.prototype.slice.call( tileHTMLColl );
                 var origTiles = tileArr;
                 var origTileLength = tileArr.length;
                 var curTileLength = origTileLength;
                 var carousel = this.carousel.dom.carousel;
                 var tilesPerFrame = this.carousel.tilesPerFrame;
+                var cloneCount = this.carousel.cloneCount;
                 var incrementMode = this.carousel.incrementMode;
-                var paginationStart = ( incrementMode === 'frame' ) ? 1 : tilesPerFrame;
+                var paginationStart = ( incrementMode === 'frame' ) ? cloneCount / tilesPerFrame : cloneCount;
                 var paginationLength = ( incrementMode === 'frame' ) ?
-                                       Math.ceil( ( origTileLength + tilesPerFrame ) / tilesPerFrame ) : origTileLength + tilesPerFrame;
+                                       Math.ceil( ( origTileLength + cloneCount ) / tilesPerFrame ) : origTileLength + cloneCount;
 
                 this.paginationArr = [];
                 
@@ -139,7 +209,6 @@ define(
                     
                     dataIndex = ( incrementMode === 'frame' ) ? Math.floor( i / tilesPerFrame ) : i;
                     tileArr[i].setAttribute( dataAttr, dataIndex );
-                    tileArr[i].setAttribute( 'id', origTileIdPre + i ); //identifies original tiles
                 }
                 
                 // Add clones to create full chronological set of frames
@@ -150,16 +219,18 @@ define(
  
                         newLi = origTiles[i].cloneNode( true );
                         newLi.removeAttribute( 'id' );
+                        newLi.setAttribute( cloneAttr, '' ); //identifies cloned tiles
                         carousel.appendChild( newLi );
                         tileArr.push( newLi );
                     }
                 }
                 
-                // Add a clone of the last frame to the beginning
-                for ( var i = tilesPerFrame - 1, j = 0; i >= 0; i--, j++ ) {
+                // Add a clone of the last frame (or frames, in center mode) to the beginning
+                for ( var i = cloneCount - 1, j = 0; i >= 0; i--, j++ ) {
                     
-                    newLi = tileArr[ origTileLength - 1 - i ].cloneNode( true );
+                    newLi = tileArr[ ( ( ( origTileLength - 1 - i ) % origTileLength ) + origTileLength ) % origTileLength ].cloneNode( true );
                     newLi.removeAttribute( 'id' );
+                    newLi.setAttribute( cloneAttr, '' );
                     carousel.insertBefore( newLi, carousel.children[ 0 + j ] );
                     clones.push( newLi );
                 }
@@ -167,11 +238,12 @@ define(
                 tileArr = clones.concat( tileArr );
                 clones = [];
                                
-                // Add a clone of the first frame to the end
-                for ( i = 0; i < tilesPerFrame; i++ ) {
+                // Add a clone of the first frame (or frames) to the end
+                for ( i = 0; i < cloneCount; i++ ) {
                     
-                    newLi = origTiles[i].cloneNode( true );
+                    newLi = origTiles[ i % origTileLength ].cloneNode( true );
                     newLi.removeAttribute( 'id' );
+                    newLi.setAttribute( cloneAttr, '' );
                     carousel.appendChild( newLi );
                     tileArr.push( newLi );
                 }
@@ -183,32 +255,42 @@ define(
                 }
                 
                 // Store first and last paginations indexes in local object
-                this.firstPageIndex = ( incrementMode === 'frame' ) ? 1 : tilesPerFrame;
-                this.lastPageIndex = ( incrementMode === 'frame' ) ?
-                                     Math.ceil( ( tilesPerFrame + origTileLength ) / tilesPerFrame ) - 1 : i - 1;
+                this.firstPageIndex = paginationStart;
+                this.lastPageIndex = paginationLength - 1;
                 
+                // Offset the current index by the prepended clones
                 updateObj = {
-                    index: tilesPerFrame,
+                    index: cloneCount + this.api.getState( 'index' ),
                     tileArr: tileArr
                 };
 
                 this.api.trigger( 'updateState', updateObj );
+
+                this.looped = true;
             },
             
             checkLoop: function( newIndex ) {
                 
                 var updateObj       = {},
                     tilesPerFrame   = this.carousel.tilesPerFrame,
+                    cloneCount      = this.carousel.cloneCount,
                     curFrameLength  = this.api.getState( 'curFrameLength' ),
                     curTileLength   = this.api.getState( 'curTileLength' ),
+                    origTileLength  = this.api.getState( 'origTileLength' ),
+                    center          = this.api.trigger( 'cache', 'center' ),
                     index           = newIndex,
-                    isFirstFrame    = index === 0,
-                    isLastFrame     = index === curTileLength - tilesPerFrame,
+                    isFirstFrame    = center ? index < cloneCount : index === 0,
+                    isLastFrame     = center ? index >= curTileLength - cloneCount : index === curTileLength - tilesPerFrame,
                     shouldLoopReset = ( isFirstFrame || isLastFrame );
 
                 if ( shouldLoopReset ) {
-                                    
-                    if ( isFirstFrame ) {
+
+                    // A centered clone goes to the same tile among the original tiles
+                    if ( center ) {
+                        index = cloneCount + ( ( ( index - cloneCount ) % origTileLength ) + origTileLength ) % origTileLength;
+                    }
+
+                    else if ( isFirstFrame ) {
                         //console.log('isFirstFrame');
                         index = curTileLength - ( tilesPerFrame * 2 );
                     }
@@ -225,6 +307,7 @@ define(
                     };
                     
                     this.carousel.index = index;
+                    this.carousel.cloneIndex = newIndex;
                     
                     this.updatePosition = true;
  
@@ -241,6 +324,17 @@ define(
                 }
             },
             
+            interrupt: function( position ) {
+
+                // Still on the cloned frame, so carry on from the same spot among the original tiles
+                if ( this.updatePosition ) {
+
+                    position.index += this.carousel.index - this.carousel.cloneIndex;
+
+                    this.reposition();
+                }
+            },
+            
             loadPagination: function() {
 
                 this.api.trigger( 'cache', 'pagination/paginationArr', this.paginationArr );
@@ -13,7 +13,7 @@ define(
             , rBusy = /\bstate-busy\b/
             , rSelected = /\s?selected\b/
             , pluginNS = 'pagination'
-            , multipleOn = false
+            , numberAttr = 'data-crsl-number' // set on each tile by the carousel, and copied to loop clones
             ;
 
         var defaults = {
@@ -23,10 +23,17 @@ define(
             frameCurrentText: 'Current Page'
         };
 
+        var schema = {
+            center: { type: 'boolean' },
+            statusOnly: { type: 'boolean' },
+            frameText: { type: 'string' },
+            frameCurrentText: { type: 'string' }
+        };
+
         var tmplPaginationStatus = doc.createElement( 'span' )
             , tmplPaginationStatusCurrentPage = '<span class="carousel-pagination-status-current">{pageNumber}</span>'
             , tmplPagination = doc.createElement( 'ul' )
-            , tmplFrameLink = '<li><a class="carousel-frame" data-frame="{number}" href="#" title="{current}">{frameText}</a></li>'
+            , tmplFrameLink = '<li><a class="carousel-frame" data-frame="{number}" href="#" title="{current}" aria-controls="{controls}">{frameText}</a></li>'
             ;
 
         tmplPagination.setAttribute( 'class', 'carousel-pagination' );
@@ -38,7 +45,7 @@ define(
         function Pagination( api, options ) {
 
             this.api = api;
-            this.options = this.api.extend( {}, defaults, options );
+            this.options = this.api.validate( options, schema, defaults, this.api.ns + '.' + pluginNS );
 
             this.setup();
         }
@@ -50,10 +57,12 @@ define(
                 var self = this;
 
                 this.funcs = {
-                    updatePagination: this.updatePagination.bind( this )
+                    updatePagination: this.updatePagination.bind( this ),
+                    handlePagination: this.handlePagination.bind( this )
                 };
 
                 this.pluginNS = pluginNS;
+                this.multipleOn = false;
 
                 this.api.subscribe(
                     this.api.ns + '/init/before',
@@ -95,6 +104,55 @@ define(
                         self.centerControls.bind( self );
                     }
                 );
+
+                this.api.subscribe(
+                    this.api.ns + '/navigation/rebuild/before',
+                    this.removePagination.bind( this )
+                );
+
+                this.api.subscribe(
+                    this.api.ns + '/destroy/before',
+                    this.removePagination.bind( this )
+                );
+
+                // New options, i.e. from the responsive plugin
+                this.api.subscribe(
+                    this.api.ns + '/updateOptions/after',
+                    this.updateOptions.bind( this )
+                );
+            },
+
+            updateOptions: function( optsObj, rebuild ) {
+
+                if ( !( pluginNS in optsObj ) ) return;
+
+                // Built for the old options, so it goes until the navigation is rebuilt
+                this.removePagination();
+
+                this.options = this.api.validate( optsObj[ pluginNS ], schema, defaults, this.api.ns + '.' + pluginNS );
+
+                this.handleOptions();
+
+                // A rebuilt carousel rebuilds its navigation (and the pagination with it) anyway
+                if ( !rebuild ) this.api.trigger( 'rebuildNavigation' );
+            },
+
+            removePagination: function() {
+
+                if ( !this.pagination ) return;
+
+                if ( this.paginationLinks ) {
+
+                    this.api.removeEvent( this.pagination, 'click', this.funcs.handlePagination );
+                }
+
+                if ( this.pagination.parentNode ) {
+
+                    this.pagination.parentNode.removeChild( this.pagination );
+                }
+
+                this.pagination = null;
+                this.paginationLinks = null;
             },
 
             handleOptions: function() {
@@ -130,6 +188,7 @@ define(
                     , rTotal            = /\{total\}/
                     , rCurrent          = /\{current\}/
                     , rFrameText        = /\{frameText\}/
+                    , rControls         = /\{controls\}/
                     , controlsWrap      = controls.parentNode
                     , btnNextParent     = btnNext.parentNode
                     , curFrameLength    = this.api.getState( 'curFrameLength' )
@@ -139,8 +198,9 @@ define(
                     , paginationLength  = ( this.api.getOption( 'incrementMode' ) === 'frame' ) ? curFrameLength : curTileLength
                     , statusText        = options.frameText.replace( rPageNumber, tmplPaginationStatusCurrentPage )
                     , isModeTile        = this.api.getOption( 'incrementMode' ) === 'tile'
-                    , tilesPerFrame     = this.api.getOption( 'tilesPerFrame' )
+                    , tilesPerFrame     = this.api.trigger( 'getFrameStep' )
                     , isMultiTileFrame  = tilesPerFrame > 1
+                    , isCenter          = this.api.trigger( 'cache', 'center' )
                     , isLoop = this.api.getState( 'origTileLength' ) !== this.api.getState( 'curTileLength' )
                     ;
                 
@@ -170,7 +230,10 @@ define(
 
                 if ( options.statusOnly ) {
                     
-                    if ( isMultiTileFrame && isModeTile ) {
+                    if ( isCenter && isModeTile ) {
+                        currentPageNumber = this.getCenteredNumber();
+                    }
+                    else if ( isMultiTileFrame && isModeTile ) {
                         currentPageNumber = tilesPerFrame;
                     }
                     else {
@@ -206,12 +269,13 @@ define(
                                 .replace( rCurrent, current )
                                 .replace( rTotal, paginationLength )
                                 .replace( rFrameText, frameText )
+                                .replace( rControls, this.dom.viewport.id )
                         );
                     }
 
                     this.pagination.insertAdjacentHTML( 'afterbegin', frameLinks.join('') );
                     this.paginationLinks = pagination.querySelectorAll( 'a' );
-                    this.api.addEvent( this.pagination, 'click', this.handlePagination.bind( this ) );
+                    this.api.addEvent( this.pagination, 'click', this.funcs.handlePagination );
                 }
 
                 this.centerControls();
@@ -273,8 +337,18 @@ define(
                 };
             },
 
+            // Number of the tile in the middle in center mode, which can be a loop clone
+            getCenteredNumber: function() {
+
+                var tile = this.api.getState( 'tileArr' )[ this.api.getState( 'index' ) ];
+
+                return tile && tile.hasAttribute( numberAttr ) ? parseInt( tile.getAttribute( numberAttr ), 10 ) : this.api.getState( 'index' ) + 1;
+            },
+
             updatePagination: function() {
 
+                if ( !this.pagination ) return;
+
                 this.api.publish( this.pluginNS + '/updatePagination/before' );
 
                 var pageLink
@@ -284,8 +358,9 @@ define(
                     , stateCurrentPageType
                     , newFrame = []
                     , newFrameIndex = this.api.trigger( 'cache', this.pluginNS + '/newFrameIndex' )
-                    , tilesPerFrame = this.api.getOption( 'tilesPerFrame' )
+                    , tilesPerFrame = this.api.trigger( 'getFrameStep' )
                     , isMultiTileFrame = tilesPerFrame > 1
+                    , isCenter = this.api.trigger( 'cache', 'center' )
                     , isModeTile = this.api.getOption( 'incrementMode' ) === 'tile'
                     , isLoop = this.api.getState( 'origTileLength' ) !== this.api.getState( 'curTileLength' )
                     , frameIndex = this.api.getState( 'frameIndex' )
@@ -300,9 +375,14 @@ define(
                 
                 if ( this.options.statusOnly ) {
                     
-                    if ( isModeTile && isMultiTileFrame ) {
+                    if ( isModeTile && isCenter ) {
+
+                        curFrameIndex = this.getCenteredNumber();
+                    }
+
+                    else if ( isModeTile && isMultiTileFrame ) {
                         
-                        curFrameIndex = isLoop ? this.api.getState( 'index' ) : this.api.getState( 'index' ) + tilesPerFrame;
+                        curFrameIndex = isLoop ? this.api.getState( 'index' ) : this.api.getState( 'index' ) + this.api.trigger( 'getFrameSize', this.api.getState( 'index' ) );
                     }
 
                     this.paginationStatusCurrentPage.textContent = curFrameIndex;
@@ -321,9 +401,10 @@ define(
                             linkClass = linkClass.replace( rSelected, '' );
                             pageLink.className = linkClass;
                             pageLink.removeAttribute( 'title' );
+                            pageLink.removeAttribute( 'aria-current' );
 
                             // If multiple page link select not on, stop loop once selected page link is found
-                            if ( !multipleOn ) break;
+                            if ( !this.multipleOn ) break;
                         }
                     }
 
@@ -345,7 +426,7 @@ define(
 
                         // Value is array: loop through all links if multiple page link select feature is on
                         // Otherwise, just load the first page link
-                        loopLength = ( multipleOn ) ? newFrameIndex.length : 1;
+                        loopLength = ( this.multipleOn ) ? newFrameIndex.length : 1;
 
                         for ( i = 0; i < loopLength; i++ ) {
 
@@ -360,6 +441,7 @@ define(
 
                             newFrame[i].className += selected;
                             newFrame[i].setAttribute( 'title', this.options.frameCurrentText );
+                            newFrame[i].setAttribute( 'aria-current', 'true' );
                         }
                     }
                 }
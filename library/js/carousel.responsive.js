@@ -1,14 +1,53 @@
 define(
-    
+
     [
         'carousel'
     ],
-    
+
+    /**
+     * Responsive carousel plugin
+     *
+     * Switches carousel and plugin options at breakpoints, i.e.
+     *
+     *     responsive: {
+     *         breakpoints: [
+     *             { query: '(min-width: 769px)', options: { tilesPerFrame: 3, autorotate: true } },
+     *             { query: '(min-width: 480px)', options: { tilesPerFrame: 2, incrementMode: 'tile', animate: { effect: 'fade' } } }
+     *         ]
+     *     }
+     *
+     * Breakpoints can also go by the width of the carousel itself, for carousels in sidebars, modals or grid cells whose width has nothing to do with the viewport. Give them a `minWidth` and/or `maxWidth` in pixels instead of (or as well as) a `query`:
+     *
+     *     responsive: {
+     *         breakpoints: [
+     *             { minWidth: 900, options: { tilesPerFrame: 4 } },
+     *             { minWidth: 500, options: { tilesPerFrame: 2 } }
+     *         ]
+     *     }
+     *
+     * or let `minTileWidth` work out how many tiles fit: `responsive: { minTileWidth: 220 }`. The carousel's wrapper is then watched with a `ResizeObserver` (or window `resize` events where that isn't supported), and tiles are measured again whenever its width changes.
+     *
+     * The first breakpoint that matches wins, and options it doesn't set go back to the ones the carousel was created with (so do all of them when no breakpoint matches). Media queries are followed with `matchMedia` listeners, and breakpoints are applied with the carousel's `updateOptions`. Plugin options are merged into the plugin's own options from when the carousel was created, and a plugin has to be in the carousel's options (`false` will do) to be changed by a breakpoint. The autorotate plugin can be switched on and off, the loop plugin can't.
+     *
+     * Without breakpoints or `minTileWidth`, the carousel shows up to 3 tiles per frame from 769px, 2 from 480px and 1 below that (never more than its `tilesPerFrame`), and the wrapper gets a `col-<tiles per frame>` class.
+     *
+     * @option breakpoints {Array|Object} List (or a single one) of objects with a media `query` and/or the `minWidth` and `maxWidth` of the carousel in pixels, and the `options` to use while they match. Default is `null` (the table above).
+     * @option minTileWidth {Number} Smallest width in pixels a tile can have. Sets `tilesPerFrame` to as many tiles as fit in the carousel, unless the matching breakpoint sets it. Default is `null`.
+     * @module carousel.responsive
+     */
     function( carousel ) {
-        
+
         'use strict';
-        
-        var defaults = {};
+
+        var defaults = {
+            breakpoints: null, // list of { query, minWidth, maxWidth, options }, or null for the tiles per frame table below
+            minTileWidth: null
+        };
+        var schema = {
+            breakpoints: { type: [ 'array', 'object' ], nullable: true }, // a single breakpoint can be passed on its own, each one is checked when the plugin starts
+            minTileWidth: { type: 'number', min: 1, nullable: true }
+        };
+        var pluginNS = 'responsive';
         var tilesByViewport = [
             [ '769px', 3 ],
             [ '480px', 2 ],
@@ -19,95 +58,325 @@ define(
          * Constructor
          */
         function Responsive( api, options ) {
-    
+
             this.api = api;
-            this.options = this.api.extend( {}, defaults, options );
-    
+            this.options = this.api.validate( options, schema, defaults, this.api.ns + '.' + pluginNS );
+
             this.setup();
         }
 
         Responsive.prototype = {
 
-            timer: undefined,
-        
             setup: function() {
 
                 var self = this;
-                
+
+                self.queries = [];
+                self.updateHandler = self.updateCarousel.bind( self );
+                self.resizeHandler = self.handleResize.bind( self );
+
                 // Subscribe to carousel init event
                 this.api.subscribe(
-                    
+
                     this.api.ns + '/init/after',
-                    
+
                     function() {
-                        
-                        var pluginAttr = self.api.getOption( 'responsive' );
+
+                        var pluginAttr = self.api.getOption( pluginNS );
                         var pluginOn = ( ( typeof pluginAttr === 'boolean' && pluginAttr === true ) || typeof pluginAttr === 'object' ) ? true : false;
-                        var tilesPerFrame = self.api.getOption( 'tilesPerFrame' );
-                        
+
                         if ( pluginOn ) {
-                            
+
                             self.carousel = {
                                 dom: self.api.getState( 'dom' ),
-                                tilesPerFrame: tilesPerFrame,
                                 origTilesPerFrame: self.api.getOption( 'origTilesPerFrame' ),
-                                currTilesPerFrame: tilesPerFrame,
+                                origTileLength: self.api.getState( 'origTileLength' ),
                                 responsive: pluginOn
                             };
-                            
-                            // Add resize event listener if carousel is not 1-up (stays same across breakpoints)
-                            //if ( self.carousel.tilesPerFrame > 1 ) {
-                                
-                                self.updateCarousel.call( self );
 
-                                var supportsOrientationChange = 'onorientationchange' in window;
-                                var orientationEvent = supportsOrientationChange ? 'orientationchange' : 'resize';
+                            self.breakpoints = self.getBreakpoints();
+                            self.loadBaseOptions();
+                            self.watchBreakpoints();
 
-                                self.api.addEvent( window, orientationEvent, self.updateCarousel.bind( self ) );
-                            //}
+                            self.api.subscribe( self.api.ns + '/destroy/before', self.destroy.bind( self ) );
+
+                            self.updateCarousel();
                         }
                     }
                 );
             },
-            
-            updateCarousel: function() {
 
-                var mediaQuery, visTileCount;
-                var self = this;
+            destroy: function() {
+
+                var query;
+
+                while ( ( query = this.queries.shift() ) ) {
+
+                    if ( query.removeEventListener ) query.removeEventListener( 'change', this.updateHandler );
+                    else if ( query.removeListener ) query.removeListener( this.updateHandler );
+                }
 
                 clearTimeout( this.timer );
 
-                this.timer = setTimeout(function() {
+                if ( this.observer ) this.observer.disconnect();
+
+                this.api.removeEvent( window, 'resize', this.resizeHandler );
+            },
+
+            getBreakpoints: function() {
+
+                var breakpoint
+                    , visTileCount
+                    , breakpoints = []
+                    , list = this.options.breakpoints
+                    , getObjType = this.api.getObjType
+                    ;
+
+                // Default table, which never shows more tiles than the carousel was created with
+                if ( list === null && this.options.minTileWidth === null ) {
 
                     for ( var i = 0; i < tilesByViewport.length; i++ ) {
-                        
-                        mediaQuery = '(min-width: ' + tilesByViewport[i][0] + ')';
-                        visTileCount = tilesByViewport[i][1];
-
-                        // Renormalize carousel if media query matches
-                        if ( window.matchMedia( mediaQuery ).matches ) {
-                            
-                            console.log(mediaQuery, self.carousel.origTilesPerFrame, self.carousel.currTilesPerFrame, visTileCount);
-                            
-                            // If the current tiles per frame isn't the same as that specified by this viewport, update carousel
-                            if ( visTileCount !== self.carousel.currTilesPerFrame && visTileCount <= self.carousel.origTilesPerFrame ) {
-
-                                self.api.trigger( 'updateOptions', { tilesPerFrame:visTileCount, wrapperClass:'col-' + visTileCount } );
-                                //self.api.trigger( 'buildNavigation', true );
-                                self.carousel.currTilesPerFrame = visTileCount;
-                            }
-                            
-                            break;
+
+                        visTileCount = Math.min( tilesByViewport[ i ][ 1 ], this.carousel.origTilesPerFrame );
+
+                        breakpoints.push({
+                            query: '(min-width: ' + tilesByViewport[ i ][ 0 ] + ')',
+                            options: { tilesPerFrame: visTileCount, wrapperClass: 'col-' + Math.floor( visTileCount ) }
+                        });
+                    }
+
+                    return breakpoints;
+                }
+
+                if ( list === null ) return breakpoints;
+
+                if ( getObjType( list ) !== '[object Array]' ) list = [ list ];
+
+                for ( i = 0; i < list.length; i++ ) {
+
+                    breakpoint = list[ i ];
+
+                    if ( getObjType( breakpoint ) !== '[object Object]' || getObjType( breakpoint.options ) !== '[object Object]' ||
+                         ( typeof breakpoint.query !== 'string' && typeof breakpoint.minWidth !== 'number' && typeof breakpoint.maxWidth !== 'number' ) ) {
+
+                        if ( typeof console !== 'undefined' && console.warn ) {
+
+                            console.warn( this.api.ns + '.' + pluginNS + ': breakpoint ' + i + ' must be an object with a "query" string or "minWidth"/"maxWidth" numbers, and an "options" object. Breakpoint ignored.' );
+                        }
+
+                        continue;
+                    }
+
+                    breakpoints.push({
+                        query: breakpoint.query,
+                        minWidth: breakpoint.minWidth,
+                        maxWidth: breakpoint.maxWidth,
+                        options: breakpoint.options
+                    });
+                }
+
+                return breakpoints;
+            },
+
+            loadBaseOptions: function() {
+
+                var key
+                    , options
+                    ;
+
+                // Options the carousel was created with, for every option a breakpoint (or minTileWidth) changes
+                this.baseOptions = {};
+
+                if ( this.options.minTileWidth !== null ) this.baseOptions.tilesPerFrame = this.api.getOption( 'tilesPerFrame' );
+
+                for ( var i = 0; i < this.breakpoints.length; i++ ) {
+
+                    options = this.breakpoints[ i ].options;
+
+                    for ( key in options ) {
+
+                        if ( options.hasOwnProperty( key ) && !( key in this.baseOptions ) ) {
+
+                            this.baseOptions[ key ] = this.api.getOption( key );
                         }
                     }
-                    
-                }, 200 ); //throttle listener
+                }
+
+                // Full set of options for each breakpoint
+                for ( i = 0; i < this.breakpoints.length; i++ ) {
+
+                    options = this.breakpoints[ i ].options;
+
+                    this.breakpoints[ i ].values = {};
+
+                    for ( key in this.baseOptions ) {
+
+                        if ( !this.baseOptions.hasOwnProperty( key ) ) continue;
+
+                        this.breakpoints[ i ].values[ key ] = key in options ? this.mergeOption( this.baseOptions[ key ], options[ key ] ) : this.baseOptions[ key ];
+                    }
+                }
+
+                this.current = undefined;
+                this.applied = this.api.extend( {}, this.baseOptions );
+            },
+
+            mergeOption: function( base, value ) {
+
+                var isObject = this.api.getObjType( value ) === '[object Object]';
+
+                // Plugin options are added to the plugin's base options instead of replacing them
+                if ( isObject && base === true ) return this.api.extend( {}, value );
+
+                if ( isObject && this.api.getObjType( base ) === '[object Object]' ) return this.api.extend( {}, base, value );
+
+                return value;
+            },
+
+            watchBreakpoints: function() {
+
+                var breakpoint
+                    , container = this.options.minTileWidth !== null
+                    ;
+
+                for ( var i = 0; i < this.breakpoints.length; i++ ) {
+
+                    breakpoint = this.breakpoints[ i ];
+
+                    if ( typeof breakpoint.minWidth === 'number' || typeof breakpoint.maxWidth === 'number' ) container = true;
+
+                    if ( typeof breakpoint.query !== 'string' || !window.matchMedia ) continue;
+
+                    breakpoint.mediaQuery = window.matchMedia( breakpoint.query );
+
+                    if ( breakpoint.mediaQuery.addEventListener ) breakpoint.mediaQuery.addEventListener( 'change', this.updateHandler );
+                    else if ( breakpoint.mediaQuery.addListener ) breakpoint.mediaQuery.addListener( this.updateHandler );
+
+                    this.queries.push( breakpoint.mediaQuery );
+                }
+
+                if ( container ) this.watchContainer();
+            },
+
+            watchContainer: function() {
+
+                var self = this;
+
+                this.width = this.getWidth();
+
+                if ( typeof ResizeObserver === 'function' ) {
+
+                    this.observer = new ResizeObserver( this.resizeHandler );
+                    this.observer.observe( this.carousel.dom.wrapper );
+
+                    return;
+                }
+
+                this.resizeHandler = function() {
+
+                    clearTimeout( self.timer );
+
+                    self.timer = setTimeout( self.handleResize.bind( self ), 200 ); //throttle listener
+                };
+
+                this.api.addEvent( window, 'resize', this.resizeHandler );
+            },
+
+            getWidth: function() {
+
+                return this.carousel.dom.wrapper.offsetWidth;
+            },
+
+            handleResize: function() {
+
+                var width = this.getWidth();
+
+                // Also called for changes in height, which don't matter here
+                if ( width === this.width ) return;
+
+                this.width = width;
+
+                this.updateCarousel();
+
+                // Tile sizes are cached, so measure them again
+                this.api.trigger( 'resize' );
+            },
+
+            matches: function( breakpoint ) {
+
+                if ( typeof breakpoint.query === 'string' && !( breakpoint.mediaQuery && breakpoint.mediaQuery.matches ) ) return false;
+
+                if ( typeof breakpoint.minWidth === 'number' && !( this.width >= breakpoint.minWidth ) ) return false;
+
+                if ( typeof breakpoint.maxWidth === 'number' && !( this.width <= breakpoint.maxWidth ) ) return false;
+
+                return true;
+            },
+
+            getTilesPerFrame: function() {
+
+                var fit = Math.floor( this.width / this.options.minTileWidth );
+
+                return Math.max( 1, Math.min( fit, this.carousel.origTileLength ) );
+            },
+
+            updateCarousel: function() {
+
+                var key
+                    , values
+                    , prevMatch
+                    , changed = false
+                    , updateObj = {}
+                    , match = null
+                    ;
+
+                for ( var i = 0; i < this.breakpoints.length; i++ ) {
+
+                    if ( this.matches( this.breakpoints[ i ] ) ) {
+
+                        match = i;
+                        break;
+                    }
+                }
+
+                prevMatch = this.current;
+                this.current = match;
+
+                values = match === null ? this.baseOptions : this.breakpoints[ match ].values;
+
+                if ( this.options.minTileWidth !== null && ( match === null || !( 'tilesPerFrame' in this.breakpoints[ match ].options ) ) ) {
+
+                    values = this.api.extend( {}, values, { tilesPerFrame: this.getTilesPerFrame() } );
+                }
+
+                // Only pass on what this breakpoint changes, so plugins aren't reset for nothing
+                for ( key in values ) {
+
+                    if ( values.hasOwnProperty( key ) && values[ key ] !== this.applied[ key ] && typeof values[ key ] !== 'undefined' ) {
+
+                        updateObj[ key ] = values[ key ];
+                        changed = true;
+                    }
+                }
+
+                this.api.extend( this.applied, updateObj );
+
+                if ( changed ) this.api.trigger( 'updateOptions', updateObj );
+
+                // Not an event on init, the carousel simply starts out that way
+                if ( typeof prevMatch !== 'undefined' && match !== prevMatch ) {
+
+                    this.api.trigger( 'emit', 'breakpointchange', {
+                        breakpoint: match,
+                        query: match === null ? null : this.breakpoints[ match ].query || null
+                    });
+                }
             }
         };
-    
-        carousel.plugin( 'responsive', function( api, options ) {
+
+        carousel.plugin( pluginNS, function( api, options ) {
 
             new Responsive( api, options );
         });
     }
-);
\ No newline at end of file
+);
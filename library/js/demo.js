@@ -5,7 +5,8 @@ require(
         'carousel.pagination',
         'carousel.autorotate',
         'carousel.loop',
-        'carousel.animate'
+        'carousel.animate',
+        'carousel.declarative'
 	],
 
     function( carousel ) {
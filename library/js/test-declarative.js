@@ -0,0 +1,23 @@
+require(
+    
+	[
+		'carousel.declarative'
+	],
+    
+    function( declarative ) {
+
+        // A list added after load, with the attribute on the root passed to init
+        var later = document.createElement( 'ul' );
+
+        later.id = 'declarative-later';
+        later.setAttribute( 'data-carousel', '{"tilesPerFrame":2}' );
+        later.innerHTML = '<li><p>d1</p></li><li><p>d2</p></li><li><p>d3</p></li>';
+
+        document.body.appendChild( later );
+
+        declarative.init( later, function( instances ) {
+
+            window.testDeclarative = instances; //functional test waiting for this global set
+        });
+    }
+);
@@ -0,0 +1,30 @@
+require(
+    
+	[
+		'carousel',
+        'carousel.pagination',
+        'carousel.autorotate',
+        'carousel.loop',
+        'carousel.animate',
+        'carousel.responsive'
+	],
+    
+    function( carousel ) {
+
+        // Fixture pages mark each list with a name and the options to create its carousel with
+        var options
+            , carousels = {}
+            , lists = document.querySelectorAll( '[data-fixture]' )
+            ;
+
+        for ( var i = 0; i < lists.length; i++ ) {
+
+            options = JSON.parse( lists[ i ].getAttribute( 'data-options' ) || '{}' );
+            options.element = lists[ i ];
+
+            carousels[ lists[ i ].getAttribute( 'data-fixture' ) ] = carousel.create( options );
+        }
+
+        window.testCarousels = carousels; //functional test waiting for this global set
+    }
+);
@@ -0,0 +1,165 @@
+define(
+
+    [
+        'intern!object',
+        'intern/chai!assert',
+        './support/fixture'
+    ],
+
+    function ( registerSuite, assert, fixture ) {
+
+        registerSuite({
+
+            name: 'animate functional',
+
+            animate: function() {
+
+                return fixture.load( this.remote, 'animate' )
+                    .execute( function(){
+
+                        var animated = window.testCarousels.animated;
+
+                        animated.nextFrame();
+                        animated.nextFrame();
+                        animated.nextFrame();
+                    })
+                    .sleep( 1000 )
+                    .execute( function(){
+
+                        var animated = window.testCarousels.animated
+                            , tiles = animated.state.tileArr
+                            , visible = []
+                            ;
+
+                        for ( var i = 0; i < tiles.length; i++ ) {
+
+                            if ( tiles[ i ].getAttribute( 'aria-hidden' ) !== 'true' ) visible.push( i );
+                        }
+
+                        return {
+                            index: animated.state.index,
+                            visible: visible
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.index,
+                            3,
+                            'queued navigation should run one move after another.'
+                        );
+
+                        assert.deepEqual(
+                            result.visible,
+                            [ 3 ],
+                            'only the current tile should be visible once the transitions end.'
+                        );
+                    });
+            },
+
+            effect: function() {
+
+                return fixture.load( this.remote, 'fade' )
+                    .execute( function(){
+
+                        window.testCarousels.faded.nextFrame();
+                    })
+                    .sleep( 500 )
+                    .execute( function(){
+
+                        var faded = window.testCarousels.faded
+                            , tiles = faded.state.tileArr
+                            ;
+
+                        return {
+                            track: faded.carousel.style.transform,
+                            opacity: [ tiles[ 0 ].style.opacity, tiles[ 1 ].style.opacity, tiles[ 2 ].style.opacity ]
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.track,
+                            'none',
+                            'fade effect should keep the track in place.'
+                        );
+
+                        assert.deepEqual(
+                            result.opacity,
+                            [ '0', '1', '0' ],
+                            'fade effect should only show the current tile.'
+                        );
+                    });
+            },
+
+            easing: function() {
+
+                return fixture.load( this.remote, 'animate' )
+                    .execute( function(){
+
+                        var animated = window.testCarousels.animated
+                            , result = {}
+                            ;
+
+                        animated.nextFrame( { duration: 300, easing: 'ease-out' } );
+
+                        result.transition = animated.carousel.style.transition;
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        assert.include(
+                            result.transition,
+                            '0.3s',
+                            'transition should use the duration passed in for the move.'
+                        );
+
+                        assert.include(
+                            result.transition,
+                            'cubic-bezier(0, 0, 0.58, 1)',
+                            'transition should use the easing passed in for the move.'
+                        );
+                    });
+            },
+
+            reducedMotion: function() {
+
+                return fixture.load( this.remote, 'animate' )
+                    .execute( function(){
+
+                        var animated = window.testCarousels.animated;
+
+                        animated.updateOptions( { motion: 'reduce' } );
+                        animated.nextFrame();
+
+                        return {
+                            reduced: animated.wrapper.classList.contains( 'carousel-reduced-motion' ),
+                            transition: animated.carousel.style.transition,
+                            transform: animated.carousel.style.transform,
+                            expected: animated.getTransform( 1 )
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.isTrue(
+                            result.reduced,
+                            'wrapper should get the reduced motion class.'
+                        );
+
+                        assert.strictEqual(
+                            result.transition,
+                            'none',
+                            'reduced motion should not animate the move.'
+                        );
+
+                        assert.strictEqual(
+                            result.transform,
+                            result.expected,
+                            'reduced motion should move to the next frame straight away.'
+                        );
+                    });
+            }
+        });
+    }
+);
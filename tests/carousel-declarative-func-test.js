@@ -0,0 +1,154 @@
+define(
+
+    [
+        'intern!object',
+        'intern/chai!assert',
+        'intern/dojo/node!leadfoot/helpers/pollUntil',
+        'require'
+    ],
+
+    function ( registerSuite, assert, pollUntil, require ) {
+
+        var url = 'test-declarative.html';
+
+        registerSuite({
+
+            name: 'declarative carousels functional',
+
+            create: function() {
+
+                return this.remote
+                    .get( require.toUrl( url ) )
+                    .then( pollUntil( 'return window.testDeclarative;', 5000 ) )
+                    .execute( function(){
+
+                        var isCarousel = function( id ) {
+
+                            var list = document.getElementById( id );
+
+                            return /carousel-viewport/.test( list.parentNode.className );
+                        };
+
+                        return {
+                            first: isCarousel( 'declarative-first' ),
+                            invalid: isCarousel( 'declarative-invalid' ),
+                            last: isCarousel( 'declarative-last' ),
+                            wrappers: document.querySelectorAll( '.carousel-wrapper' ).length
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.isTrue(
+                            result.first,
+                            'list with a data-carousel attribute should become a carousel.'
+                        );
+
+                        assert.isFalse(
+                            result.invalid,
+                            'list with invalid JSON should be skipped.'
+                        );
+
+                        assert.isTrue(
+                            result.last,
+                            'list after one with invalid JSON should still become a carousel.'
+                        );
+
+                        assert.strictEqual(
+                            result.wrappers,
+                            3,
+                            'every valid list, including the one added later, should become a carousel.'
+                        );
+                    });
+            },
+
+            root: function() {
+
+                return this.remote
+                    .get( require.toUrl( url ) )
+                    .then( pollUntil( 'return window.testDeclarative;', 5000 ) )
+                    .execute( function(){
+
+                        var instances = window.testDeclarative;
+
+                        return {
+                            length: instances.length,
+                            isRoot: instances[ 0 ] && instances[ 0 ].element === document.getElementById( 'declarative-later' ),
+                            tilesPerFrame: instances[ 0 ] && instances[ 0 ].options.tilesPerFrame
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.length,
+                            1,
+                            'init callback should get the carousel created from its root.'
+                        );
+
+                        assert.isTrue(
+                            result.isRoot,
+                            'root element passed to init should become a carousel itself.'
+                        );
+
+                        assert.strictEqual(
+                            result.tilesPerFrame,
+                            2,
+                            'root element options should be read from its data-carousel attribute.'
+                        );
+                    });
+            },
+
+            invalid: function() {
+
+                return this.remote
+                    .get( require.toUrl( url ) )
+                    .then( pollUntil( 'return window.testDeclarative;', 5000 ) )
+                    .executeAsync( function( done ){
+
+                        var box = document.createElement( 'div' );
+
+                        box.innerHTML = '<ul data-carousel=\'{"loop":\'><li>e1</li></ul>' +
+                            '<ul data-carousel=\'[2]\'><li>g1</li></ul>' +
+                            '<ul data-carousel data-carousel-autorotate><li>h1</li></ul>' +
+                            '<ul data-carousel><li>f1</li><li>f2</li></ul>';
+
+                        document.body.appendChild( box );
+
+                        // A plugin module that can't be loaded
+                        requirejs.config( { paths: { 'carousel.autorotate': 'missing-plugin' } } );
+
+                        require( [ 'carousel.declarative' ], function( declarative ) {
+
+                            declarative.init( box, function( instances ) {
+
+                                var invalid = document.getElementById( 'declarative-invalid' );
+
+                                // Fixed markup can be initialized again
+                                invalid.setAttribute( 'data-carousel', '{"tilesPerFrame":2}' );
+
+                                declarative.init( document, function( fixed ) {
+
+                                    done({
+                                        length: instances.length,
+                                        fixed: fixed.length === 1 && fixed[ 0 ].element === invalid
+                                    });
+                                });
+                            });
+                        });
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.length,
+                            1,
+                            'init callback should still run, without the lists with invalid JSON, a non-object blob or a plugin that fails to load.'
+                        );
+
+                        assert.isTrue(
+                            result.fixed,
+                            'list skipped for invalid JSON should be initialized once its markup is fixed.'
+                        );
+                    });
+            }
+        });
+    }
+);
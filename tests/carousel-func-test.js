@@ -47,6 +47,101 @@ define(
                     });
             },
 
+            options: function() {
+
+                return this.remote
+                    .get( require.toUrl( url ) )
+                    .then( pollUntil( 'return window.testCarousel;', 5000 ) )
+                    .execute( function(){
+
+                        var coerced
+                            , invalid
+                            , result = {}
+                            , warnings = []
+                            , warn = console.warn
+                            , carousel = require( 'carousel' )
+                            , makeList = function() {
+
+                                var list = document.createElement( 'ul' );
+
+                                list.innerHTML = '<li>1</li><li>2</li><li>3</li>';
+                                document.body.appendChild( list );
+
+                                return list;
+                            }
+                            ;
+
+                        console.warn = function( message ) {
+
+                            warnings.push( message );
+                        };
+
+                        try {
+
+                            coerced = carousel.create( { element: makeList(), tilesPerFrame: '2', wrapControls: 'true' } );
+
+                            result.tilesPerFrame = coerced.options.tilesPerFrame;
+                            result.wrapControls = coerced.options.wrapControls;
+
+                            invalid = carousel.create( { element: makeList(), incrementMode: 'sideways', tilesPerFram: 2 } );
+
+                            result.incrementMode = invalid.options.incrementMode;
+
+                            try {
+                                carousel.create( { tilesPerFrame: 2 } );
+                            }
+                            catch ( err ) {
+                                result.error = err.message;
+                            }
+                        }
+                        finally {
+                            console.warn = warn;
+                        }
+
+                        result.warnings = warnings.join( '\n' );
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.tilesPerFrame,
+                            2,
+                            'numeric strings should be coerced to numbers.'
+                        );
+
+                        assert.strictEqual(
+                            result.wrapControls,
+                            true,
+                            'boolean strings should be coerced to booleans.'
+                        );
+
+                        assert.strictEqual(
+                            result.incrementMode,
+                            'frame',
+                            'invalid values should be replaced by the default.'
+                        );
+
+                        assert.include(
+                            result.warnings,
+                            'option "incrementMode" must be one of',
+                            'invalid values should be reported.'
+                        );
+
+                        assert.include(
+                            result.warnings,
+                            'unknown option "tilesPerFram". Did you mean "tilesPerFrame"?',
+                            'unknown options should be reported with the closest option name.'
+                        );
+
+                        assert.include(
+                            result.error,
+                            'option "element" is required',
+                            'a missing element should throw an error.'
+                        );
+                    });
+            },
+
             navigate: function() {
 
                 // var url = 'test.html';
@@ -84,6 +179,251 @@ define(
                             'carousel tile index should be 0 after clicking previous button.'
                         );
                     });
+            },
+
+            events: function() {
+
+                return this.remote
+                    .get( require.toUrl( url ) )
+                    .then( pollUntil( 'return window.testCarousel;', 5000 ) )
+                    .execute( function(){
+
+                        var result = { counted: 0 }
+                            , thisCarousel = window.testCarousel
+                            , count = function() {
+
+                                result.counted++;
+                            }
+                            ;
+
+                        thisCarousel.on( 'change', function( e ) {
+
+                            result.direction = e.direction;
+                            result.index = e.index;
+                        });
+
+                        document.addEventListener( 'carousel.change', function( e ) {
+
+                            result.domIndex = e.detail.index;
+                        }, false );
+
+                        window.testCarousel.nextFrame();
+
+                        thisCarousel.on( 'ping', count );
+                        thisCarousel.once( 'ping', count );
+                        thisCarousel.emit( 'ping' );
+                        thisCarousel.emit( 'ping' );
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.counted,
+                            3,
+                            'running a once handler should not remove the same handler added with on.'
+                        );
+
+                        assert.strictEqual(
+                            result.direction,
+                            'next',
+                            'change event should have the direction of navigation.'
+                        );
+
+                        assert.strictEqual(
+                            result.index,
+                            4,
+                            'change event should have the new index.'
+                        );
+
+                        assert.strictEqual(
+                            result.domIndex,
+                            4,
+                            'change event should bubble from the wrapper as a DOM event.'
+                        );
+                    });
+            },
+
+            guards: function() {
+
+                return this.remote
+                    .get( require.toUrl( url ) )
+                    .then( pollUntil( 'return window.testCarousel;', 5000 ) )
+                    .execute( function(){
+
+                        var result = {}
+                            , thisCarousel = window.testCarousel
+                            ;
+
+                        thisCarousel.on( 'veto', function( e ) {
+
+                            result.vetoedIndex = e.targetIndex;
+                        });
+
+                        thisCarousel.guard( function( e ) {
+
+                            return e.targetIndex === 4 ? false : e.targetIndex;
+                        });
+
+                        result.startIndex = thisCarousel.state.index;
+
+                        thisCarousel.nextFrame();
+
+                        result.index = thisCarousel.state.index;
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.index,
+                            result.startIndex,
+                            'vetoed navigation should leave the carousel in place.'
+                        );
+
+                        assert.strictEqual(
+                            result.vetoedIndex,
+                            4,
+                            'veto event should have the requested index.'
+                        );
+                    });
+            },
+
+            reflow: function() {
+
+                return this.remote
+                    .get( require.toUrl( url ) )
+                    .then( pollUntil( 'return window.testCarousel;', 5000 ) )
+                    .execute( function(){
+
+                        var result = {}
+                            , thisCarousel = window.testCarousel
+                            , state = thisCarousel.state
+                            ;
+
+                        thisCarousel.nextFrame();
+                        thisCarousel.nextFrame();
+
+                        result.before = state.tileArr[ state.index ].getAttribute( 'data-crsl-number' );
+
+                        thisCarousel.updateOptions( { tilesPerFrame: 2 } );
+
+                        result.after = state.tileArr[ state.index ].getAttribute( 'data-crsl-number' );
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.after,
+                            result.before,
+                            'first visible tile should stay in view when tilesPerFrame changes.'
+                        );
+                    });
+            },
+
+            aria: function() {
+
+                return this.remote
+                    .get( require.toUrl( url ) )
+                    .then( pollUntil( 'return window.testCarousel;', 5000 ) )
+                    .execute( function(){
+
+                        var wrapper = document.querySelector( '.carousel-wrapper' )
+                            , viewport = wrapper.querySelector( '.carousel-viewport' )
+                            , tile = wrapper.querySelector( '.carousel-tile.state-visible' )
+                            ;
+
+                        window.testCarousel.nextFrame();
+
+                        return {
+                            role: wrapper.getAttribute( 'role' ),
+                            tileLabel: tile.getAttribute( 'aria-label' ),
+                            hiddenTiles: wrapper.querySelectorAll( '.state-hidden[aria-hidden="true"]' ).length === wrapper.querySelectorAll( '.state-hidden' ).length,
+                            controls: wrapper.querySelector( '.nextFrame' ).getAttribute( 'aria-controls' ) === viewport.id,
+                            live: wrapper.querySelector( '.carousel-live' ).textContent
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.role,
+                            'region',
+                            'carousel wrapper should be a region.'
+                        );
+
+                        assert.strictEqual(
+                            result.tileLabel,
+                            '1 of 5',
+                            'first tile should be labelled with its position.'
+                        );
+
+                        assert.isTrue(
+                            result.hiddenTiles,
+                            'hidden tiles should have aria-hidden set.'
+                        );
+
+                        assert.isTrue(
+                            result.controls,
+                            'next button should control the viewport.'
+                        );
+
+                        assert.strictEqual(
+                            result.live,
+                            'Slides 2 to 4 of 5',
+                            'live region should announce the tiles in view.'
+                        );
+                    });
+            },
+
+            destroy: function() {
+
+                return this.remote
+                    .get( require.toUrl( url ) )
+                    .then( pollUntil( 'return window.testCarousel;', 5000 ) )
+                    .execute( function(){
+
+                        var carousel = window.testCarousel.destroy();
+
+                        return {
+                            wrappers: document.querySelectorAll( '.carousel-wrapper' ).length,
+                            tiles: carousel.children.length,
+                            tileAttrs: carousel.children[ 0 ].attributes.length,
+                            listAttrs: carousel.attributes.length,
+                            parent: carousel.parentNode === document.body
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.wrappers,
+                            0,
+                            'carousel wrapper should be removed after destroy.'
+                        );
+
+                        assert.strictEqual(
+                            result.tiles,
+                            5,
+                            'loop clones should be removed after destroy.'
+                        );
+
+                        assert.strictEqual(
+                            result.tileAttrs,
+                            0,
+                            'tile attributes should be restored after destroy.'
+                        );
+
+                        assert.strictEqual(
+                            result.listAttrs,
+                            1,
+                            'list should only keep its original id attribute after destroy.'
+                        );
+
+                        assert.isTrue(
+                            result.parent,
+                            'list should be put back in its original parent after destroy.'
+                        );
+                    });
             }
         });
     }
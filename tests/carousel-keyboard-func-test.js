@@ -0,0 +1,70 @@
+define(
+
+    [
+        'intern!object',
+        'intern/chai!assert',
+        'intern/dojo/node!leadfoot/keys',
+        './support/fixture'
+    ],
+
+    function ( registerSuite, assert, keys, fixture ) {
+
+        registerSuite({
+
+            name: 'keyboard functional',
+
+            keyboard: function() {
+
+                var getFocus = function() {
+
+                    var keyboard = window.testCarousels.keyboard;
+
+                    return {
+                        index: keyboard.state.index,
+                        focused: Array.prototype.indexOf.call( keyboard.state.tileArr, document.activeElement )
+                    };
+                };
+
+                return fixture.load( this.remote, 'keyboard' )
+                    .execute( function(){
+
+                        window.testCarousels.keyboard.state.tileArr[ 0 ].focus();
+                    })
+                    .pressKeys( keys.ARROW_RIGHT )
+                    .sleep( 1000 )
+                    .execute( getFocus )
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.index,
+                            1,
+                            'right arrow should move to the next tile.'
+                        );
+
+                        assert.strictEqual(
+                            result.focused,
+                            1,
+                            'focus should move to the new tile once it is in view.'
+                        );
+                    })
+                    .pressKeys( keys.END )
+                    .sleep( 1000 )
+                    .execute( getFocus )
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.index,
+                            5,
+                            'End should move to the last tile.'
+                        );
+
+                        assert.strictEqual(
+                            result.focused,
+                            5,
+                            'focus should follow to the last tile.'
+                        );
+                    });
+            }
+        });
+    }
+);
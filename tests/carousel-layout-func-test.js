@@ -0,0 +1,401 @@
+define(
+
+    [
+        'intern!object',
+        'intern/chai!assert',
+        'intern/dojo/node!leadfoot/helpers/pollUntil',
+        './support/fixture'
+    ],
+
+    function ( registerSuite, assert, pollUntil, fixture ) {
+
+        registerSuite({
+
+            name: 'layout functional',
+
+            vertical: function() {
+
+                return fixture.load( this.remote, 'vertical' )
+                    .execute( function(){
+
+                        var vertical = window.testCarousels.vertical
+                            , tiles = vertical.state.tileArr
+                            ;
+
+                        vertical.nextFrame();
+
+                        return {
+                            className: vertical.wrapper.className,
+                            viewportHeight: vertical.viewport.offsetHeight,
+                            tileHeight: tiles[ 0 ].offsetHeight,
+                            sameColumn: tiles[ 1 ].offsetLeft === tiles[ 0 ].offsetLeft,
+                            transform: vertical.element.style.transform,
+                            index: vertical.state.index
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.include(
+                            result.className,
+                            'carousel-vertical',
+                            'wrapper should be marked as vertical.'
+                        );
+
+                        assert.strictEqual(
+                            result.viewportHeight,
+                            result.tileHeight * 2,
+                            'viewport should be as tall as the tiles in a frame.'
+                        );
+
+                        assert.isTrue(
+                            result.sameColumn,
+                            'tiles should be stacked in a column.'
+                        );
+
+                        assert.strictEqual(
+                            result.index,
+                            2,
+                            'next frame should start with the third tile.'
+                        );
+
+                        assert.strictEqual(
+                            result.transform,
+                            'translateY(-50%)',
+                            'track should move up by a frame.'
+                        );
+                    });
+            },
+
+            rtl: function() {
+
+                return fixture.load( this.remote, 'rtl' )
+                    .execute( function(){
+
+                        var rtl = window.testCarousels.rtl
+                            , tiles = rtl.state.tileArr
+                            ;
+
+                        rtl.nextFrame();
+
+                        return {
+                            className: rtl.wrapper.className,
+                            dir: rtl.wrapper.getAttribute( 'dir' ),
+                            rightToLeft: tiles[ 0 ].offsetLeft > tiles[ 1 ].offsetLeft,
+                            transform: rtl.element.style.transform
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.include(
+                            result.className,
+                            'carousel-rtl',
+                            'wrapper should be marked as right-to-left when the page direction is.'
+                        );
+
+                        assert.strictEqual(
+                            result.dir,
+                            'rtl',
+                            'wrapper should have the dir attribute set.'
+                        );
+
+                        assert.isTrue(
+                            result.rightToLeft,
+                            'first tile should be on the right.'
+                        );
+
+                        assert.strictEqual(
+                            result.transform,
+                            'translateX(50%)',
+                            'track should move right to show the next frame.'
+                        );
+                    });
+            },
+
+            rtlLoop: function() {
+
+                return fixture.load( this.remote, 'rtl' )
+                    .execute( function(){
+
+                        var loop = window.testCarousels.rtlLoop
+                            , tiles = loop.state.tileArr
+                            , result = {
+                                clonesRightToLeft: tiles[ 0 ].offsetLeft > tiles[ 1 ].offsetLeft,
+                                startTransform: loop.element.style.transform,
+                                controlsRightToLeft: loop.prevBtn.offsetLeft > loop.nextBtn.offsetLeft
+                            }
+                            ;
+
+                        loop.nextFrame();
+
+                        result.nextTile = tiles[ loop.state.index ].textContent;
+                        result.nextTransform = loop.element.style.transform;
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        assert.isTrue(
+                            result.clonesRightToLeft,
+                            'loop clones should be laid out right to left like the tiles.'
+                        );
+
+                        assert.strictEqual(
+                            result.startTransform,
+                            'translateX(25%)',
+                            'track should start moved right past the prepended clones.'
+                        );
+
+                        assert.strictEqual(
+                            result.nextTile,
+                            'l3',
+                            'next frame should start with the third tile.'
+                        );
+
+                        assert.strictEqual(
+                            result.nextTransform,
+                            'translateX(50%)',
+                            'track should move right to show the next frame.'
+                        );
+
+                        assert.isTrue(
+                            result.controlsRightToLeft,
+                            'wrapped controls should have the previous button on the right.'
+                        );
+                    });
+            },
+
+            variableWidth: function() {
+
+                return fixture.load( this.remote, 'variable-width' )
+                    .execute( function(){
+
+                        var variable = window.testCarousels.variable
+                            , result = {
+                                maxIndex: variable.getMaxIndex(),
+                                frameStarts: [ variable.getFrameStart( 0 ), variable.getFrameStart( 1 ), variable.getFrameStart( 2 ) ],
+                                firstFrame: variable.state.curFrame.length
+                            }
+                            ;
+
+                        variable.nextFrame();
+
+                        result.nextIndex = variable.state.index;
+                        result.nextTransform = variable.element.style.transform;
+
+                        variable.lastFrame();
+
+                        result.lastIndex = variable.state.index;
+                        result.lastTransform = variable.element.style.transform;
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        // Tiles are 150, 100, 200, 50 and 120 pixels wide in a 300 pixel viewport
+                        assert.deepEqual(
+                            result.frameStarts,
+                            [ 0, 2, 4 ],
+                            'each frame should start with the first tile that does not fit in the one before.'
+                        );
+
+                        assert.strictEqual(
+                            result.firstFrame,
+                            2,
+                            'first frame should have the tiles that fit in the viewport.'
+                        );
+
+                        assert.strictEqual(
+                            result.maxIndex,
+                            3,
+                            'last index should be the first tile from which the rest fit in the viewport.'
+                        );
+
+                        assert.strictEqual(
+                            result.nextIndex,
+                            2,
+                            'next frame should start with the third tile.'
+                        );
+
+                        assert.strictEqual(
+                            result.nextTransform,
+                            'translateX(-250px)',
+                            'track should move by the width of the tiles before.'
+                        );
+
+                        assert.strictEqual(
+                            result.lastIndex,
+                            3,
+                            'last frame should start at the last index.'
+                        );
+
+                        assert.strictEqual(
+                            result.lastTransform,
+                            'translateX(-320px)',
+                            'last frame should end with the last tile.'
+                        );
+                    });
+            },
+
+            peek: function() {
+
+                return fixture.load( this.remote, 'peek' )
+                    .execute( function(){
+
+                        var peek = window.testCarousels.peek
+                            , tiles = peek.state.tileArr
+                            , result = {
+                                tileWidth: parseFloat( tiles[ 0 ].style.width ),
+                                nextPeek: tiles[ 1 ].className.indexOf( 'state-peek' ) !== -1,
+                                nextVisibility: window.getComputedStyle( tiles[ 1 ] ).visibility,
+                                nextHidden: tiles[ 1 ].getAttribute( 'aria-hidden' )
+                            }
+                            ;
+
+                        peek.lastFrame();
+
+                        result.lastIndex = peek.state.index;
+                        result.prevPeek = tiles[ 2 ].className.indexOf( 'state-peek' ) !== -1;
+                        result.offset = parseFloat( peek.element.style.transform.replace( 'translateX(', '' ) );
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        // ( 400 - 2 * 20 - 0.5 * 10 ) / 1.5
+                        assert.closeTo(
+                            result.tileWidth,
+                            236.67,
+                            0.01,
+                            'tiles should share what is left of the viewport after the peek and gaps.'
+                        );
+
+                        assert.isTrue(
+                            result.nextPeek && result.nextVisibility === 'visible',
+                            'part of the next tile should show.'
+                        );
+
+                        assert.strictEqual(
+                            result.nextHidden,
+                            'true',
+                            'peeking tile should stay hidden from screen readers.'
+                        );
+
+                        assert.strictEqual(
+                            result.lastIndex,
+                            3,
+                            'last frame should end with the last tile.'
+                        );
+
+                        assert.isTrue(
+                            result.prevPeek,
+                            'part of the previous tile should show in the last frame.'
+                        );
+
+                        // Track is 4 * 246.67 - 10 wide, the viewport 400
+                        assert.closeTo(
+                            result.offset,
+                            -576.67,
+                            0.01,
+                            'last frame should be aligned with the end of the track.'
+                        );
+                    })
+                    .execute( function(){
+
+                        document.getElementById( 'peek-box' ).style.width = '600px';
+                    })
+                    // ( 600 - 2 * 20 - 0.5 * 10 ) / 1.5
+                    .then( pollUntil( 'return window.testCarousels.peek.state.tileArr[ 0 ].style.width === "370px" || null;', 5000 ) )
+                    .then( function( resized ) {
+
+                        assert.isTrue(
+                            resized,
+                            'tiles should be sized again when the viewport gets wider.'
+                        );
+                    });
+            },
+
+            center: function() {
+
+                var getState = function() {
+
+                    var centered = window.testCarousels.centered
+                        , active = centered.element.querySelector( '.state-active' )
+                        ;
+
+                    return {
+                        index: centered.state.index,
+                        active: active && active.textContent,
+                        current: active && active.getAttribute( 'aria-current' ),
+                        visible: centered.state.curFrame.length,
+                        hash: window.location.hash
+                    };
+                };
+
+                return fixture.load( this.remote, 'center' )
+                    .execute( getState )
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.active,
+                            'm1',
+                            'first tile should be the active tile.'
+                        );
+
+                        assert.strictEqual(
+                            result.current,
+                            'true',
+                            'active tile should be marked as current.'
+                        );
+
+                        assert.strictEqual(
+                            result.visible,
+                            2,
+                            'first tile should be centered, with only its next neighbour beside it.'
+                        );
+                    })
+                    .findByCssSelector( '#carousel-center li:nth-child(2)' )
+                        .click()
+                        .end()
+                    .execute( getState )
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.index,
+                            1,
+                            'clicked neighbour should be brought to the center.'
+                        );
+
+                        assert.strictEqual(
+                            result.active,
+                            'm2',
+                            'clicked neighbour should become the active tile.'
+                        );
+
+                        assert.strictEqual(
+                            result.visible,
+                            3,
+                            'centered tile should have a neighbour on each side.'
+                        );
+                    })
+                    .findByCssSelector( '#carousel-center a' )
+                        .click()
+                        .end()
+                    .execute( getState )
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.active,
+                            'm3',
+                            'clicking a link in a neighbour should bring that tile to the center.'
+                        );
+
+                        assert.strictEqual(
+                            result.hash,
+                            '',
+                            'link in a neighbour should not be followed.'
+                        );
+                    });
+            }
+        });
+    }
+);
@@ -0,0 +1,188 @@
+define(
+
+    [
+        'intern!object',
+        'intern/chai!assert',
+        './support/fixture'
+    ],
+
+    function ( registerSuite, assert, fixture ) {
+
+        registerSuite({
+
+            name: 'multiple carousels functional',
+
+            loop: function() {
+
+                return fixture.load( this.remote, 'multiple' )
+                    .execute( function(){
+
+                        var carousels = window.testCarousels;
+
+                        return {
+                            tileLength: carousels.loopTile.state.curTileLength,
+                            frameLength: carousels.loopFrame.state.curTileLength,
+                            tileFirstClone: carousels.loopTile.state.tileArr[ 0 ].textContent,
+                            frameFirstClone: carousels.loopFrame.state.tileArr[ 0 ].textContent
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.tileLength,
+                            10,
+                            'first loop carousel should have 6 tiles and 4 clones.'
+                        );
+
+                        assert.strictEqual(
+                            result.frameLength,
+                            6,
+                            'second loop carousel should have 4 tiles and 2 clones.'
+                        );
+
+                        assert.strictEqual(
+                            result.tileFirstClone,
+                            'a5',
+                            'first loop carousel should clone its own tiles.'
+                        );
+
+                        assert.strictEqual(
+                            result.frameFirstClone,
+                            'b4',
+                            'second loop carousel should clone its own tiles.'
+                        );
+                    });
+            },
+
+            navigate: function() {
+
+                return fixture.load( this.remote, 'multiple' )
+                    .findByCssSelector( '.carousel-wrapper .nextFrame' )
+                        .click()
+                        .end()
+                    .execute( function(){
+
+                        var carousels = window.testCarousels;
+
+                        return {
+                            tileIndex: carousels.loopTile.state.index,
+                            frameIndex: carousels.loopFrame.state.index
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.tileIndex,
+                            3,
+                            'clicked carousel should move to the next tile.'
+                        );
+
+                        assert.strictEqual(
+                            result.frameIndex,
+                            1,
+                            'other carousel should stay on its first tile.'
+                        );
+                    });
+            },
+
+            autorotate: function() {
+
+                var stoppedIndex
+                    , rotatingIndex
+                    ;
+
+                return fixture.load( this.remote, 'multiple' )
+                    .findByCssSelector( '.carousel-rotation' )
+                        .click()
+                        .end()
+                    .execute( function(){
+
+                        var carousels = window.testCarousels;
+
+                        return [ carousels.rotate1.state.index, carousels.rotate2.state.index ];
+                    })
+                    .then( function( indexes ) {
+
+                        stoppedIndex = indexes[ 0 ];
+                        rotatingIndex = indexes[ 1 ];
+                    })
+                    .sleep( 900 )
+                    .execute( function(){
+
+                        var carousels = window.testCarousels;
+
+                        return {
+                            index1: carousels.rotate1.state.index,
+                            index2: carousels.rotate2.state.index,
+                            live1: carousels.rotate1.live.getAttribute( 'aria-live' ),
+                            live2: carousels.rotate2.live.getAttribute( 'aria-live' )
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.index1,
+                            stoppedIndex,
+                            'stopped carousel should not rotate.'
+                        );
+
+                        assert.isAbove(
+                            result.index2,
+                            rotatingIndex,
+                            'other carousel should keep rotating.'
+                        );
+
+                        assert.strictEqual(
+                            result.live1,
+                            'polite',
+                            'stopped carousel should announce frame changes.'
+                        );
+
+                        assert.strictEqual(
+                            result.live2,
+                            'off',
+                            'rotating carousel should not announce frame changes.'
+                        );
+                    });
+            },
+
+            destroy: function() {
+
+                return fixture.load( this.remote, 'multiple' )
+                    .execute( function(){
+
+                        var carousels = window.testCarousels;
+
+                        carousels.loopTile.destroy();
+                        carousels.loopFrame.nextFrame();
+
+                        return {
+                            tiles: carousels.loopTile.element.children.length,
+                            frameLength: carousels.loopFrame.state.curTileLength,
+                            frameIndex: carousels.loopFrame.state.index
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.tiles,
+                            6,
+                            'destroyed carousel should get its original tiles back.'
+                        );
+
+                        assert.strictEqual(
+                            result.frameLength,
+                            6,
+                            'other loop carousel should keep its clones.'
+                        );
+
+                        assert.strictEqual(
+                            result.frameIndex,
+                            2,
+                            'other loop carousel should still navigate.'
+                        );
+                    });
+            }
+        });
+    }
+);
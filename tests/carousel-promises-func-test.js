@@ -0,0 +1,110 @@
+define(
+
+    [
+        'intern!object',
+        'intern/chai!assert',
+        './support/fixture'
+    ],
+
+    function ( registerSuite, assert, fixture ) {
+
+        registerSuite({
+
+            name: 'navigation promises functional',
+
+            promises: function() {
+
+                return fixture.load( this.remote, 'promises' )
+                    .executeAsync( function( done ){
+
+                        var carousels = window.testCarousels
+                            , navigated = carousels.navigated
+                            , result = {}
+                            , first = navigated.nextFrame()
+                            , noop = navigated.jumpToFrame( 99 )
+                            , destroyed = carousels.removed.nextFrame()
+                            , second
+                            ;
+
+                        first[ 'catch' ]( function( err ) {
+
+                            result.first = err.reason;
+                        });
+
+                        noop.then( function() {
+
+                            result.noop = 'resolved';
+
+                        }, function( err ) {
+
+                            result.noop = err.reason;
+                        });
+
+                        destroyed[ 'catch' ]( function( err ) {
+
+                            result.destroyed = err.reason;
+                        });
+
+                        second = navigated.nextFrame();
+
+                        carousels.removed.destroy();
+                        carousels.removed.destroy();
+
+                        carousels.removed.nextFrame()[ 'catch' ]( function( err ) {
+
+                            result.afterDestroy = err.reason;
+                        });
+
+                        second.then( function( snapshot ) {
+
+                            result.index = snapshot.index;
+
+                            navigated.prevFrame();
+
+                            result.laterIndex = snapshot.index;
+
+                            done( result );
+                        });
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.first,
+                            'interrupted',
+                            'navigation should reject as interrupted when another one starts.'
+                        );
+
+                        assert.strictEqual(
+                            result.noop,
+                            'resolved',
+                            'navigation with nowhere to go should resolve right away.'
+                        );
+
+                        assert.strictEqual(
+                            result.destroyed,
+                            'destroyed',
+                            'navigation should reject as destroyed when the carousel is destroyed.'
+                        );
+
+                        assert.strictEqual(
+                            result.afterDestroy,
+                            'destroyed',
+                            'navigation should reject as destroyed once the carousel is destroyed.'
+                        );
+
+                        assert.strictEqual(
+                            result.index,
+                            2,
+                            'navigation should resolve with the index it moved to.'
+                        );
+
+                        assert.strictEqual(
+                            result.laterIndex,
+                            2,
+                            'resolved state should not change with later navigation.'
+                        );
+                    });
+            }
+        });
+    }
+);
@@ -0,0 +1,83 @@
+define(
+
+    [
+        'intern!object',
+        'intern/chai!assert',
+        'intern/dojo/node!leadfoot/helpers/pollUntil',
+        './support/fixture'
+    ],
+
+    function ( registerSuite, assert, pollUntil, fixture ) {
+
+        registerSuite({
+
+            name: 'responsive functional',
+
+            responsive: function() {
+
+                return fixture.load( this.remote, 'responsive' )
+                    .execute( function(){
+
+                        var responsive = window.testCarousels.responsive;
+
+                        return {
+                            tilesPerFrame: responsive.options.tilesPerFrame,
+                            frames: responsive.state.curFrameLength,
+                            status: !!responsive.wrapper.querySelector( '.carousel-pagination-status' ),
+                            links: responsive.wrapper.querySelectorAll( '.carousel-frame' ).length
+                        };
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.tilesPerFrame,
+                            2,
+                            'matching breakpoint should set tilesPerFrame.'
+                        );
+
+                        assert.strictEqual(
+                            result.frames,
+                            2,
+                            'frames should be rebuilt for the breakpoint.'
+                        );
+
+                        assert.isTrue(
+                            result.status && result.links === 0,
+                            'matching breakpoint should switch pagination to status only.'
+                        );
+                    });
+            },
+
+            container: function() {
+
+                return fixture.load( this.remote, 'container' )
+                    .execute( function(){
+
+                        var result = {
+                            wide: window.testCarousels.container.options.tilesPerFrame
+                        };
+
+                        document.getElementById( 'container-box' ).style.width = '300px';
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        assert.strictEqual(
+                            result.wide,
+                            2,
+                            'minTileWidth should fit as many tiles as the container allows.'
+                        );
+                    })
+                    .then( pollUntil( 'return window.testCarousels.container.options.tilesPerFrame === 1 || null;', 5000 ) )
+                    .then( function( narrow ) {
+
+                        assert.isTrue(
+                            narrow,
+                            'resized container should get fewer tiles per frame.'
+                        );
+                    });
+            }
+        });
+    }
+);
@@ -0,0 +1,163 @@
+define(
+
+    [
+        'intern!object',
+        'intern/chai!assert',
+        './support/fixture'
+    ],
+
+    function ( registerSuite, assert, fixture ) {
+
+        registerSuite({
+
+            name: 'swipe functional',
+
+            flick: function() {
+
+                return fixture.load( this.remote, 'flick' )
+                    .executeAsync( function( done ){
+
+                        var flick = window.testCarousels.flick
+                            , result = {}
+                            , pointer = function( type, x ) {
+
+                                var e = new PointerEvent( type, {
+                                    pointerId: 1,
+                                    pointerType: 'mouse',
+                                    isPrimary: true,
+                                    clientX: x,
+                                    clientY: 10,
+                                    bubbles: true,
+                                    cancelable: true
+                                });
+
+                                flick.element.dispatchEvent( e );
+
+                                return e;
+                            }
+                            ;
+
+                        // A slow drag of less than a tile springs back
+                        pointer( 'pointerdown', 300 );
+
+                        result.firstMovePrevented = pointer( 'pointermove', 280 ).defaultPrevented;
+
+                        setTimeout( function() {
+
+                            pointer( 'pointermove', 150 );
+
+                            setTimeout( function() {
+
+                                pointer( 'pointerup', 150 );
+
+                                result.slowIndex = flick.state.index;
+
+                                // The same distance, fast
+                                pointer( 'pointerdown', 300 );
+
+                                setTimeout( function() {
+
+                                    pointer( 'pointermove', 280 );
+
+                                    setTimeout( function() {
+
+                                        pointer( 'pointermove', 150 );
+                                        pointer( 'pointerup', 150 );
+
+                                        result.flickIndex = flick.state.index;
+
+                                        done( result );
+
+                                    }, 20 );
+                                }, 20 );
+                            }, 200 );
+                        }, 200 );
+                    })
+                    .then( function( result ) {
+
+                        assert.isTrue(
+                            result.firstMovePrevented,
+                            'first move past the lock threshold should block page scrolling.'
+                        );
+
+                        assert.strictEqual(
+                            result.slowIndex,
+                            0,
+                            'slow drag of less than a tile should spring back.'
+                        );
+
+                        assert.isAbove(
+                            result.flickIndex,
+                            1,
+                            'flick should move several tiles.'
+                        );
+                    });
+            },
+
+            edgeResistance: function() {
+
+                return fixture.load( this.remote, 'edge-resistance' )
+                    .execute( function(){
+
+                        var edge = window.testCarousels.edge
+                            , result = {}
+                            , pointer = function( type, x ) {
+
+                                edge.element.dispatchEvent( new PointerEvent( type, {
+                                    pointerId: 1,
+                                    pointerType: 'mouse',
+                                    isPrimary: true,
+                                    clientX: x,
+                                    clientY: 10,
+                                    bubbles: true,
+                                    cancelable: true
+                                }));
+                            }
+                            , getOffset = function() {
+
+                                var match = /([-\d.]+)px/.exec( edge.element.style.transform );
+
+                                return match ? parseFloat( match[ 1 ] ) : 0;
+                            }
+                            ;
+
+                        // Drag back from the first tile by 100 pixels
+                        pointer( 'pointerdown', 100 );
+                        pointer( 'pointermove', 120 );
+                        pointer( 'pointermove', 200 );
+
+                        result.offset = getOffset();
+
+                        pointer( 'pointerup', 200 );
+
+                        result.index = edge.state.index;
+                        result.releasedOffset = getOffset();
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        // ( 1 - 1 / ( 100 * 0.55 / 200 + 1 ) ) * 200
+                        assert.closeTo(
+                            result.offset,
+                            43.14,
+                            0.01,
+                            'track should follow a drag past the first tile with resistance.'
+                        );
+
+                        assert.strictEqual(
+                            result.index,
+                            0,
+                            'carousel should stay on the first tile after a drag past it.'
+                        );
+
+                        assert.strictEqual(
+                            result.releasedOffset,
+                            0,
+                            'track should spring back when released.'
+                        );
+                    });
+            }
+        });
+    }
+);
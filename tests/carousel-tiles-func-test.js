@@ -0,0 +1,119 @@
+define(
+
+    [
+        'intern!object',
+        'intern/chai!assert',
+        './support/fixture'
+    ],
+
+    function ( registerSuite, assert, fixture ) {
+
+        registerSuite({
+
+            name: 'runtime tiles functional',
+
+            tiles: function() {
+
+                return fixture.load( this.remote, 'tiles' )
+                    .execute( function(){
+
+                        var tile
+                            , tiles = window.testCarousels.tiles
+                            , result = {}
+                            , getTexts = function() {
+
+                                var texts = [];
+
+                                for ( var i = 0; i < tiles.state.tileArr.length; i++ ) {
+
+                                    texts.push( tiles.state.tileArr[ i ].textContent );
+                                }
+
+                                return texts.join( ',' );
+                            }
+                            , getPages = function() {
+
+                                return tiles.wrapper.querySelectorAll( '.carousel-pagination li' ).length;
+                            }
+                            ;
+
+                        result.listeners = tiles.listeners.length;
+
+                        result.invalid = tiles.removeTile( 9 );
+                        result.invalidTiles = getTexts();
+
+                        tiles.removeTile( 1 );
+
+                        result.removedTiles = getTexts();
+                        result.removedPages = getPages();
+
+                        tile = document.createElement( 'li' );
+                        tile.innerHTML = '<p>b5</p>';
+
+                        tiles.addTile( tile );
+
+                        result.addedTiles = getTexts();
+                        result.addedPages = getPages();
+
+                        result.stringIndex = tiles.removeTile( '3' ) === tile;
+
+                        tiles.addTile( tile );
+
+                        tiles.replaceTiles( tiles.element.querySelectorAll( 'li:not([data-crsl-clone])' ) );
+
+                        result.replacedListeners = tiles.listeners.length;
+
+                        return result;
+                    })
+                    .then( function( result ) {
+
+                        assert.isFalse(
+                            result.invalid,
+                            'removing a tile that does not exist should return false.'
+                        );
+
+                        assert.strictEqual(
+                            result.invalidTiles,
+                            'b4,b1,b2,b3,b4,b1',
+                            'removing a tile that does not exist should leave the tiles alone.'
+                        );
+
+                        assert.strictEqual(
+                            result.removedTiles,
+                            'b4,b1,b3,b4,b1',
+                            'loop clones should be made again from the remaining tiles.'
+                        );
+
+                        assert.strictEqual(
+                            result.removedPages,
+                            3,
+                            'pagination should have a page less after removing a tile.'
+                        );
+
+                        assert.strictEqual(
+                            result.addedTiles,
+                            'b5,b1,b3,b4,b5,b1',
+                            'added tile should be cloned at the start of the loop.'
+                        );
+
+                        assert.strictEqual(
+                            result.addedPages,
+                            4,
+                            'pagination should have a page for the added tile.'
+                        );
+
+                        assert.isTrue(
+                            result.stringIndex,
+                            'string indexes should be coerced to numbers, not counting loop clones.'
+                        );
+
+                        assert.strictEqual(
+                            result.replacedListeners,
+                            result.listeners,
+                            'replacing tiles should not leave the listeners of the old ones behind.'
+                        );
+                    });
+            }
+        });
+    }
+);
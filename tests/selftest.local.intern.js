@@ -52,7 +52,7 @@ define({
 	suites: [ /* 'tests/carousel-test' */ ],
 
 	// Functional test suite(s) to run in each browser once non-functional tests are completed
-	functionalSuites: [ 'tests/carousel-func-test' ],
+	functionalSuites: [ 'tests/carousel-func-test', 'tests/carousel-tiles-func-test', 'tests/carousel-layout-func-test', 'tests/carousel-swipe-func-test', 'tests/carousel-keyboard-func-test', 'tests/carousel-declarative-func-test', 'tests/carousel-multiple-func-test', 'tests/carousel-promises-func-test', 'tests/carousel-animate-func-test', 'tests/carousel-responsive-func-test' ],
 
 	// A regular expression matching URLs to files that should not be included in code coverage analysis
 	excludeInstrumentation: /^(?:tests|node_modules)\//,
@@ -0,0 +1,28 @@
+define(
+
+    [
+        'intern/dojo/node!leadfoot/helpers/pollUntil',
+        'require'
+    ],
+
+    function ( pollUntil, require ) {
+
+        return {
+
+            /**
+             * Opens a fixture page from tests/fixtures and waits for its carousels to be created. Each feature has its own page, so a broken carousel only fails the tests of its feature.
+             *
+             * @method load
+             * @param {Command} remote Remote of the test, i.e. `this.remote`
+             * @param {String} name Name of the fixture page, without `.html`
+             * @return {Command} Command to chain the test on, once `window.testCarousels` is set
+             */
+            load: function( remote, name ) {
+
+                return remote
+                    .get( require.toUrl( 'tests/fixtures/' + name + '.html' ) )
+                    .then( pollUntil( 'return window.testCarousels;', 5000 ) );
+            }
+        };
+    }
+);